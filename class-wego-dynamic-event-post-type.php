@@ -14,6 +14,8 @@ class WeGo_Dynamic_Event_Post_Type {
 	 * Meta keys (also used as column slugs)
 	 */
 	const COLUMN_TRAFFIC_SOURCE = 'traffic_source';
+	const COLUMN_FIRST_TOUCH_SOURCE = 'first_touch_source';
+	const COLUMN_LAST_TOUCH_SOURCE = 'last_touch_source';
 	const COLUMN_DEVICE_TYPE = 'device_type';
 	const COLUMN_PAGE_URL = 'page_url';
 	const COLUMN_BROWSER_FAMILY = 'browser_family';
@@ -591,6 +593,8 @@ class WeGo_Dynamic_Event_Post_Type {
 	 */
 	public function render_details_metabox( $post ) {
 		$traffic_source = get_post_meta( $post->ID, self::COLUMN_TRAFFIC_SOURCE, true );
+		$first_touch_source = get_post_meta( $post->ID, self::COLUMN_FIRST_TOUCH_SOURCE, true );
+		$last_touch_source = get_post_meta( $post->ID, self::COLUMN_LAST_TOUCH_SOURCE, true );
 		$device_type = get_post_meta( $post->ID, self::COLUMN_DEVICE_TYPE, true );
 		$page_url = get_post_meta( $post->ID, self::COLUMN_PAGE_URL, true );
 		$browser_family = get_post_meta( $post->ID, self::COLUMN_BROWSER_FAMILY, true );
@@ -607,6 +611,14 @@ class WeGo_Dynamic_Event_Post_Type {
 			<label for="wego_traffic_source"><?= esc_html__( 'Traffic Source:', 'wego-traffic-source' ); ?></label>
 			<input type="text" id="wego_traffic_source" name="wego_traffic_source" value="<?= esc_attr( $traffic_source ); ?>" style="width: 100%;" readonly>
 		</p>
+		<p>
+			<label for="wego_first_touch_source"><?= esc_html__( 'First Touch Source:', 'wego-traffic-source' ); ?></label>
+			<input type="text" id="wego_first_touch_source" name="wego_first_touch_source" value="<?= esc_attr( $first_touch_source ); ?>" style="width: 100%;" readonly>
+		</p>
+		<p>
+			<label for="wego_last_touch_source"><?= esc_html__( 'Last Touch Source:', 'wego-traffic-source' ); ?></label>
+			<input type="text" id="wego_last_touch_source" name="wego_last_touch_source" value="<?= esc_attr( $last_touch_source ); ?>" style="width: 100%;" readonly>
+		</p>
 		<p>
 			<label for="wego_device_type"><?= esc_html__( 'Device Type:', 'wego-traffic-source' ); ?></label>
 			<input type="text" id="wego_device_type" name="wego_device_type" value="<?= esc_attr( $device_type ); ?>" style="width: 100%;" readonly>
@@ -846,6 +858,8 @@ class WeGo_Dynamic_Event_Post_Type {
 			$primary_label,
 			__( 'Page URL', 'wego-traffic-source' ),
 			__( 'Traffic Source', 'wego-traffic-source' ),
+			__( 'First Touch Source', 'wego-traffic-source' ),
+			__( 'Last Touch Source', 'wego-traffic-source' ),
 			__( 'Device Type', 'wego-traffic-source' ),
 			__( 'Browser', 'wego-traffic-source' ),
 			__( 'Operating System', 'wego-traffic-source' ),
@@ -870,6 +884,8 @@ class WeGo_Dynamic_Event_Post_Type {
 				// Use wp_date() with post timestamp for consistent timezone handling with admin list display
 				$formatted_date_time = wp_date( self::DATETIME_FORMAT, get_post_datetime( $post )->getTimestamp() );
 				$traffic_source = get_post_meta( $post_id, self::COLUMN_TRAFFIC_SOURCE, true );
+				$first_touch_source = get_post_meta( $post_id, self::COLUMN_FIRST_TOUCH_SOURCE, true );
+				$last_touch_source = get_post_meta( $post_id, self::COLUMN_LAST_TOUCH_SOURCE, true );
 				$device_type = get_post_meta( $post_id, self::COLUMN_DEVICE_TYPE, true );
 				$browser_family = get_post_meta( $post_id, self::COLUMN_BROWSER_FAMILY, true );
 				$os_family = get_post_meta( $post_id, self::COLUMN_OS_FAMILY, true );
@@ -879,6 +895,8 @@ class WeGo_Dynamic_Event_Post_Type {
 					$primary_value,
 					$page_url ? $page_url : '',
 					$traffic_source ? $traffic_source : '',
+					$first_touch_source ? $first_touch_source : '',
+					$last_touch_source ? $last_touch_source : '',
 					$device_type ? $device_type : '',
 					$browser_family ? $browser_family : '',
 					$os_family ? $os_family : '',
@@ -27,7 +27,6 @@ class WeGo_Tracked_Event_Settings {
 	 * Error codes
 	 */
 	const ERROR_UNKNOWN_EVENT_SOURCE_TYPE = 'unknown_event_source_type';
-	const ERROR_MULTIPLE_PODIUM_TYPES = 'multiple_podium_types';
 
 	/**
 	 * Initialize the settings page
@@ -150,6 +149,16 @@ class WeGo_Tracked_Event_Settings {
 				<a href="https://vsdentalcollege.edu.in/static/media/css.1a50a159.pdf" target="_blank" rel="noopener noreferrer">
 					CSS Selector Cheat Sheet
 				</a>
+			<hr>
+			<p><strong>Hidden Form Field Values:</strong></p>
+			<ul>
+				<li><code>wego-traffic-source</code> or <code>wego:traffic_source</code> &mdash; Session traffic source label</li>
+				<li><code>wego:first_touch</code>, <code>wego:last_touch</code> &mdash; First-touch and last-touch traffic source labels</li>
+				<li><code>wego:utm_source</code>, <code>wego:utm_medium</code>, <code>wego:utm_campaign</code>, <code>wego:utm_term</code>, <code>wego:utm_content</code> &mdash; Individual UTM parameters</li>
+				<li><code>wego:gclid</code>, <code>wego:msclkid</code>, <code>wego:fbclid</code>, <code>wego:ttclid</code> &mdash; Ad click IDs</li>
+				<li><code>wego:landing_page</code>, <code>wego:referrer</code> &mdash; Landing page URL and external referrer</li>
+				<li><code>wego:device_type</code>, <code>wego:browser_family</code>, <code>wego:os_family</code> &mdash; Visitor device details</li>
+			</ul>
 			</div>
 		</div>
 
@@ -327,19 +336,7 @@ class WeGo_Tracked_Event_Settings {
 			}
 		}
 
-	// Validate only one Podium tracked event is configured
-	$podium_count = 0;
-	for ( $i = 0; $i < count( $tracked_events ); $i++ ) {
-		if ( isset( $tracked_events[ $i ]['event_source']['type'] ) && $tracked_events[ $i ]['event_source']['type'] === 'podium_widget' ) {
-			$podium_count++;
-		}
-	}
-	if ( $podium_count > 1 ) {
-		$errors[] = [
-			'code'    => self::ERROR_MULTIPLE_PODIUM_TYPES,
-			'message' => __( 'Only one Podium Widget tracked event is allowed. Please consolidate multiple Podium configurations into a single tracked event.', 'wego-traffic-source' ),
-		];
-	}		// If there were validation errors, redirect back with error messages
+		// If there were validation errors, redirect back with error messages
 		if ( ! empty( $errors ) ) {
 			set_transient( self::TRANSIENT_TRACKED_EVENTS_ERRORS, $errors, 30 );
 			// Store the attempted input to preserve unsaved rows
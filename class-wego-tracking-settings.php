@@ -0,0 +1,443 @@
+<?php
+/**
+ * Manages site-wide tracking settings via WordPress options/settings
+ */
+class WeGo_Tracking_Settings {
+
+	/**
+	 * Option/slug constants
+	 */
+	const OPTION_SETTINGS = 'wego_traffic_source_settings';
+	const PARENT_MENU_SLUG = 'wego-tracking';
+	const PAGE_SLUG = 'wego-tracking-settings';
+
+	/**
+	 * Nonce actions
+	 */
+	const NONCE_ACTION_SAVE_SETTINGS = 'wego_save_tracking_settings';
+
+	/**
+	 * Consent modes
+	 * IMPORTANT: These values must match the CONSENT_* constants in wego-traffic-source.js
+	 */
+	const CONSENT_MODE_NONE = 'none';
+	const CONSENT_MODE_WP_CONSENT_API = 'wp_consent_api';
+	const CONSENT_MODE_GOOGLE_CONSENT_MODE = 'google_consent_mode';
+	const CONSENT_MODE_TCF = 'tcf';
+
+	/**
+	 * What to do with events fired before consent is granted
+	 */
+	const CONSENT_PENDING_QUEUE = 'queue';
+	const CONSENT_PENDING_DROP = 'drop';
+
+	/**
+	 * Attribution lookback window limits (days)
+	 */
+	const DEFAULT_ATTRIBUTION_LOOKBACK_DAYS = 30;
+	const MAX_ATTRIBUTION_LOOKBACK_DAYS = 365;
+
+	/**
+	 * Channel grouping rule match types
+	 * IMPORTANT: These values must match the CHANNEL_MATCH_* constants in wego-traffic-source.js
+	 */
+	const CHANNEL_MATCH_UTM_SOURCE = 'utm_source';
+	const CHANNEL_MATCH_UTM_MEDIUM = 'utm_medium';
+	const CHANNEL_MATCH_UTM_CAMPAIGN = 'utm_campaign';
+	const CHANNEL_MATCH_CLICK_ID = 'click_id';
+	const CHANNEL_MATCH_REFERRER_DOMAIN = 'referrer_domain';
+
+	/**
+	 * Initialize the settings page
+	 */
+	public static function init() {
+		add_action( 'admin_menu', [ __CLASS__, 'add_settings_page' ], 11 );
+		add_action( 'admin_post_wego_save_tracking_settings', [ __CLASS__, 'handle_form_submission' ] );
+	}
+
+	/**
+	 * Add the settings page under WeGo Tracking menu
+	 */
+	public static function add_settings_page() {
+		add_submenu_page(
+			self::PARENT_MENU_SLUG,
+			__( 'Tracking Settings', 'wego-traffic-source' ),
+			__( 'Settings', 'wego-traffic-source' ),
+			'manage_options',
+			self::PAGE_SLUG,
+			[ __CLASS__, 'render_settings_page' ]
+		);
+	}
+
+	/**
+	 * Render the settings page
+	 */
+	public static function render_settings_page() {
+		$settings = self::get_settings();
+		?>
+		<div class="wrap">
+			<h1><?= esc_html__( 'Tracking Settings', 'wego-traffic-source' ); ?></h1>
+
+			<?php if ( isset( $_GET['updated'] ) && sanitize_text_field( wp_unslash( $_GET['updated'] ) ) === '1' ) : ?>
+				<div class="notice notice-success is-dismissible">
+					<p><?= esc_html__( 'Settings saved.', 'wego-traffic-source' ); ?></p>
+				</div>
+			<?php endif; ?>
+
+			<form method="post" action="<?= esc_url( admin_url( 'admin-post.php' ) ); ?>">
+				<input type="hidden" name="action" value="wego_save_tracking_settings">
+				<?php wp_nonce_field( self::NONCE_ACTION_SAVE_SETTINGS, 'wego_tracking_settings_nonce' ); ?>
+
+				<h2><?= esc_html__( 'Consent', 'wego-traffic-source' ); ?></h2>
+				<p><?= esc_html__( 'When a consent source is selected, no events are sent and nothing is written to browser storage until the visitor grants consent.', 'wego-traffic-source' ); ?></p>
+				<table class="form-table" role="presentation">
+					<tr>
+						<th scope="row">
+							<label for="wego-consent-mode"><?= esc_html__( 'Consent source', 'wego-traffic-source' ); ?></label>
+						</th>
+						<td>
+							<select name="consent_mode" id="wego-consent-mode">
+								<?php foreach ( self::get_consent_modes() as $mode => $label ) : ?>
+									<option value="<?= esc_attr( $mode ); ?>" <?php selected( $settings['consent_mode'], $mode ); ?>>
+										<?= esc_html( $label ); ?>
+									</option>
+								<?php endforeach; ?>
+							</select>
+						</td>
+					</tr>
+					<tr>
+						<th scope="row"><?= esc_html__( 'Events before consent', 'wego-traffic-source' ); ?></th>
+						<td>
+							<fieldset>
+								<label>
+									<input type="radio" name="consent_pending_events" value="<?= esc_attr( self::CONSENT_PENDING_QUEUE ); ?>" <?php checked( $settings['consent_pending_events'], self::CONSENT_PENDING_QUEUE ); ?>>
+									<?= esc_html__( 'Hold in memory and send them if consent is granted on the same page', 'wego-traffic-source' ); ?>
+								</label>
+								<br>
+								<label>
+									<input type="radio" name="consent_pending_events" value="<?= esc_attr( self::CONSENT_PENDING_DROP ); ?>" <?php checked( $settings['consent_pending_events'], self::CONSENT_PENDING_DROP ); ?>>
+									<?= esc_html__( 'Discard them', 'wego-traffic-source' ); ?>
+								</label>
+							</fieldset>
+						</td>
+					</tr>
+				</table>
+
+				<h2><?= esc_html__( 'Attribution', 'wego-traffic-source' ); ?></h2>
+				<p><?= esc_html__( 'Each event records the session traffic source plus the first-touch and last-touch sources. A direct visit never replaces an earlier last-touch source within the lookback window.', 'wego-traffic-source' ); ?></p>
+				<table class="form-table" role="presentation">
+					<tr>
+						<th scope="row">
+							<label for="wego-attribution-lookback-days"><?= esc_html__( 'Lookback window (days)', 'wego-traffic-source' ); ?></label>
+						</th>
+						<td>
+							<input type="number"
+								name="attribution_lookback_days"
+								id="wego-attribution-lookback-days"
+								value="<?= esc_attr( $settings['attribution_lookback_days'] ); ?>"
+								min="1" max="<?= esc_attr( self::MAX_ATTRIBUTION_LOOKBACK_DAYS ); ?>" step="1"
+								class="small-text">
+							<p class="description">
+								<?= esc_html__( 'Hidden form fields with the value "wego:first_touch" or "wego:last_touch" are filled with these sources.', 'wego-traffic-source' ); ?>
+							</p>
+						</td>
+					</tr>
+				</table>
+
+				<h2><?= esc_html__( 'Channel Grouping', 'wego-traffic-source' ); ?></h2>
+				<p><?= esc_html__( 'Traffic sources are labelled by the first matching rule, in table order. Values are comma-separated and case-insensitive, and * matches any characters (e.g. google.*). A leading *. also matches the domain itself, so *.google.com matches google.com and www.google.com.', 'wego-traffic-source' ); ?></p>
+				<p><?= esc_html__( 'UTM rules are checked first, then any other visit with a utm_medium is labelled "Tracked: medium - term". Click ID and referrer domain rules are checked after that. Referrers that match no rule are labelled "Referral from domain".', 'wego-traffic-source' ); ?></p>
+				<table class="wp-list-table widefat fixed striped" id="wego-channel-rules-table">
+					<thead>
+						<tr>
+							<th class="col-match"><?= esc_html__( 'Match On', 'wego-traffic-source' ); ?></th>
+							<th class="col-values"><?= esc_html__( 'Values', 'wego-traffic-source' ); ?></th>
+							<th class="col-label"><?= esc_html__( 'Label', 'wego-traffic-source' ); ?></th>
+							<th class="col-order"><?= esc_html__( 'Order', 'wego-traffic-source' ); ?></th>
+							<th class="col-delete"><?= esc_html__( 'Delete', 'wego-traffic-source' ); ?></th>
+						</tr>
+					</thead>
+					<tbody id="wego-channel-rules-body" data-row-index="<?= esc_attr( count( $settings['channel_rules'] ) ); ?>">
+						<?php foreach ( $settings['channel_rules'] as $index => $rule ) : ?>
+							<?php self::render_channel_rule_row( $index, $rule ); ?>
+						<?php endforeach; ?>
+					</tbody>
+				</table>
+
+				<p class="wego-add-channel-rule-wrapper">
+					<button type="button" class="button" id="wego-add-channel-rule">
+						<?= esc_html__( 'Add Rule', 'wego-traffic-source' ); ?>
+					</button>
+				</p>
+
+				<?php submit_button( __( 'Save Settings', 'wego-traffic-source' ) ); ?>
+
+				<?php // After Save, so pressing Enter in a field never submits it ?>
+				<p>
+					<button type="submit" class="button-link button-link-delete" name="reset_channel_rules" value="1" id="wego-reset-channel-rules">
+						<?= esc_html__( 'Reset channel grouping to the default rules', 'wego-traffic-source' ); ?>
+					</button>
+				</p>
+			</form>
+		</div>
+
+		<template id="wego-channel-rule-row-template">
+			<?php self::render_channel_rule_row( '{{INDEX}}', [] ); ?>
+		</template>
+		<?php
+	}
+
+	/**
+	 * Render a single channel grouping rule row
+	 *
+	 * @param int|string $index Row index for field names (or '{{INDEX}}' for templates)
+	 * @param array      $rule  Saved rule
+	 */
+	private static function render_channel_rule_row( $index, $rule ) {
+		$match = $rule['match'] ?? self::CHANNEL_MATCH_REFERRER_DOMAIN;
+		$values = $rule['values'] ?? [];
+		$label = $rule['label'] ?? '';
+		?>
+		<tr>
+			<td>
+				<select name="channel_rules[<?= esc_attr( $index ); ?>][match]">
+					<?php foreach ( self::get_channel_match_types() as $match_type => $match_label ) : ?>
+						<option value="<?= esc_attr( $match_type ); ?>" <?php selected( $match, $match_type ); ?>>
+							<?= esc_html( $match_label ); ?>
+						</option>
+					<?php endforeach; ?>
+				</select>
+			</td>
+			<td>
+				<input type="text"
+					name="channel_rules[<?= esc_attr( $index ); ?>][values]"
+					value="<?= esc_attr( implode( ', ', $values ) ); ?>"
+					class="wego-channel-rule-values"
+					placeholder="<?= esc_attr__( 'e.g., chatgpt.com, perplexity.ai', 'wego-traffic-source' ); ?>">
+			</td>
+			<td>
+				<input type="text"
+					name="channel_rules[<?= esc_attr( $index ); ?>][label]"
+					value="<?= esc_attr( $label ); ?>"
+					class="wego-channel-rule-label"
+					placeholder="<?= esc_attr__( 'e.g., AI Assistant', 'wego-traffic-source' ); ?>">
+			</td>
+			<td class="wego-center-cell">
+				<span class="dashicons dashicons-arrow-up-alt2 wego-move-row-up" title="<?= esc_attr__( 'Move up', 'wego-traffic-source' ); ?>"></span>
+				<span class="dashicons dashicons-arrow-down-alt2 wego-move-row-down" title="<?= esc_attr__( 'Move down', 'wego-traffic-source' ); ?>"></span>
+			</td>
+			<td class="wego-center-cell">
+				<span class="dashicons dashicons-trash wego-delete-row" title="<?= esc_attr__( 'Delete', 'wego-traffic-source' ); ?>"></span>
+			</td>
+		</tr>
+		<?php
+	}
+
+	/**
+	 * Handle form submission
+	 */
+	public static function handle_form_submission() {
+		// Verify nonce
+		if ( ! isset( $_POST['wego_tracking_settings_nonce'] ) ||
+			! wp_verify_nonce( sanitize_text_field( wp_unslash( $_POST['wego_tracking_settings_nonce'] ) ), self::NONCE_ACTION_SAVE_SETTINGS ) ) {
+			wp_die( __( 'Security check failed', 'wego-traffic-source' ) );
+		}
+
+		// Check permissions
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_die( __( 'You do not have permission to manage tracking settings', 'wego-traffic-source' ) );
+		}
+
+		$settings = self::get_settings();
+
+		$consent_mode = isset( $_POST['consent_mode'] ) ? sanitize_text_field( wp_unslash( $_POST['consent_mode'] ) ) : '';
+		if ( array_key_exists( $consent_mode, self::get_consent_modes() ) ) {
+			$settings['consent_mode'] = $consent_mode;
+		}
+
+		$consent_pending_events = isset( $_POST['consent_pending_events'] ) ? sanitize_text_field( wp_unslash( $_POST['consent_pending_events'] ) ) : '';
+		if ( in_array( $consent_pending_events, [ self::CONSENT_PENDING_QUEUE, self::CONSENT_PENDING_DROP ], true ) ) {
+			$settings['consent_pending_events'] = $consent_pending_events;
+		}
+
+		$lookback_days = isset( $_POST['attribution_lookback_days'] ) ? absint( $_POST['attribution_lookback_days'] ) : 0;
+		if ( $lookback_days >= 1 && $lookback_days <= self::MAX_ATTRIBUTION_LOOKBACK_DAYS ) {
+			$settings['attribution_lookback_days'] = $lookback_days;
+		}
+
+		// Rules are kept in the submitted (table) order, which is evaluation order
+		if ( isset( $_POST['reset_channel_rules'] ) ) {
+			$settings['channel_rules'] = self::get_default_channel_rules();
+		} else {
+			$settings['channel_rules'] = [];
+			if ( isset( $_POST['channel_rules'] ) && is_array( $_POST['channel_rules'] ) ) {
+				foreach ( wp_unslash( $_POST['channel_rules'] ) as $rule ) {
+					$rule = self::sanitize_channel_rule( $rule );
+					if ( $rule ) {
+						$settings['channel_rules'][] = $rule;
+					}
+				}
+			}
+		}
+
+		update_option( self::OPTION_SETTINGS, $settings );
+
+		// Redirect back to settings page
+		wp_redirect( admin_url( 'admin.php?page=' . self::PAGE_SLUG . '&updated=1' ) );
+		exit;
+	}
+
+	/**
+	 * Get the available consent modes
+	 *
+	 * @return array Labels keyed by consent mode
+	 */
+	public static function get_consent_modes() {
+		return [
+			self::CONSENT_MODE_NONE                => __( 'Not required (always track)', 'wego-traffic-source' ),
+			self::CONSENT_MODE_WP_CONSENT_API      => __( 'WP Consent API (statistics category)', 'wego-traffic-source' ),
+			self::CONSENT_MODE_GOOGLE_CONSENT_MODE => __( 'Google Consent Mode (analytics_storage)', 'wego-traffic-source' ),
+			self::CONSENT_MODE_TCF                 => __( 'IAB TCF v2 consent platform (__tcfapi)', 'wego-traffic-source' ),
+		];
+	}
+
+	/**
+	 * Sanitize a submitted channel grouping rule
+	 *
+	 * @param mixed $rule Submitted rule (unslashed)
+	 * @return array|null Sanitized rule, or null if incomplete
+	 */
+	private static function sanitize_channel_rule( $rule ) {
+		if ( ! is_array( $rule ) ) {
+			return null;
+		}
+
+		$match = sanitize_key( $rule['match'] ?? '' );
+		$label = sanitize_text_field( $rule['label'] ?? '' );
+		$values = explode( ',', strtolower( sanitize_text_field( $rule['values'] ?? '' ) ) );
+
+		if ( ! array_key_exists( $match, self::get_channel_match_types() ) ) {
+			return null;
+		}
+
+		if ( $match === self::CHANNEL_MATCH_CLICK_ID ) {
+			$values = array_map( 'sanitize_key', $values );
+		}
+
+		$values = array_values( array_filter( array_map( 'trim', $values ), 'strlen' ) );
+
+		if ( empty( $values ) || $label === '' ) {
+			return null;
+		}
+
+		return [
+			'match'  => $match,
+			'values' => $values,
+			'label'  => $label,
+		];
+	}
+
+	/**
+	 * Get the available channel grouping rule match types
+	 *
+	 * @return array Labels keyed by match type
+	 */
+	public static function get_channel_match_types() {
+		return [
+			self::CHANNEL_MATCH_UTM_SOURCE      => __( 'UTM source', 'wego-traffic-source' ),
+			self::CHANNEL_MATCH_UTM_MEDIUM      => __( 'UTM medium', 'wego-traffic-source' ),
+			self::CHANNEL_MATCH_UTM_CAMPAIGN    => __( 'UTM campaign', 'wego-traffic-source' ),
+			self::CHANNEL_MATCH_CLICK_ID        => __( 'Click ID parameter', 'wego-traffic-source' ),
+			self::CHANNEL_MATCH_REFERRER_DOMAIN => __( 'Referrer domain', 'wego-traffic-source' ),
+		];
+	}
+
+	/**
+	 * Get the default channel grouping rules
+	 *
+	 * Referrer domains are exact matches from the Snowplow referer database,
+	 * check it for a curated list of domain names.
+	 *
+	 * @return array Rules in evaluation order
+	 */
+	public static function get_default_channel_rules() {
+		$rules = [
+			[ self::CHANNEL_MATCH_CLICK_ID, [ 'gclid' ], 'Paid Search: Google Ads' ],
+			[ self::CHANNEL_MATCH_CLICK_ID, [ 'msclkid' ], 'Paid Search: Microsoft Ads' ],
+			[ self::CHANNEL_MATCH_CLICK_ID, [ 'fbclid' ], 'Paid Social: Meta' ],
+			[ self::CHANNEL_MATCH_CLICK_ID, [ 'ttclid' ], 'Paid Social: TikTok' ],
+			[ self::CHANNEL_MATCH_REFERRER_DOMAIN, [ 'mail.google.com', 'inbox.google.com', 'com.google.android.gm' ], 'Email: Gmail' ],
+			[ self::CHANNEL_MATCH_REFERRER_DOMAIN, [ 'mail.live.com', 'outlook.live.com', 'com.microsoft.office.outlook' ], 'Email: Outlook' ],
+			[ self::CHANNEL_MATCH_REFERRER_DOMAIN, [ 'mail.yahoo.com', 'mail.yahoo.co.uk', 'com.yahoo.mobile.client.android.mail' ], 'Email: Yahoo Mail' ],
+			[ self::CHANNEL_MATCH_REFERRER_DOMAIN, [ 'mail.aol.com', 'com.aol.mobile.aolapp' ], 'Email: AOL' ],
+			[ self::CHANNEL_MATCH_REFERRER_DOMAIN, [ 'mail.proton.me' ], 'Email: Proton' ],
+			[ self::CHANNEL_MATCH_REFERRER_DOMAIN, [ 'www.google.com', 'google.com', 'google.co.uk', 'google.ca' ], 'Organic Search: Google' ],
+			[ self::CHANNEL_MATCH_REFERRER_DOMAIN, [ 'bing.com', 'www.bing.com', 'm.bing.com' ], 'Organic Search: Bing' ],
+			[ self::CHANNEL_MATCH_REFERRER_DOMAIN, [ 'search.yahoo.com', 'yahoo.com' ], 'Organic Search: Yahoo' ],
+			[ self::CHANNEL_MATCH_REFERRER_DOMAIN, [ 'duckduckgo.com' ], 'Organic Search: DuckDuckGo' ],
+			[ self::CHANNEL_MATCH_REFERRER_DOMAIN, [ 'search.brave.com' ], 'Organic Search: Brave' ],
+		];
+
+		return array_map( function( $rule ) {
+			return [
+				'match'  => $rule[0],
+				'values' => $rule[1],
+				'label'  => $rule[2],
+			];
+		}, $rules );
+	}
+
+	/**
+	 * Get all settings, with defaults for anything not yet saved
+	 *
+	 * @return array Settings
+	 */
+	public static function get_settings() {
+		return wp_parse_args(
+			get_option( self::OPTION_SETTINGS, [] ),
+			[
+				'consent_mode'              => self::CONSENT_MODE_NONE,
+				'consent_pending_events'    => self::CONSENT_PENDING_QUEUE,
+				'attribution_lookback_days' => self::DEFAULT_ATTRIBUTION_LOOKBACK_DAYS,
+				'channel_rules'             => self::get_default_channel_rules(),
+			]
+		);
+	}
+
+	/**
+	 * Get the consent settings for the frontend tracking config
+	 *
+	 * @return array Consent config (camelCase keys for JavaScript)
+	 */
+	public static function get_consent_config() {
+		$settings = self::get_settings();
+
+		return [
+			'mode'          => $settings['consent_mode'],
+			'pendingEvents' => $settings['consent_pending_events'],
+		];
+	}
+
+	/**
+	 * Get the attribution settings for the frontend tracking config
+	 *
+	 * @return array Attribution config (camelCase keys for JavaScript)
+	 */
+	public static function get_attribution_config() {
+		$settings = self::get_settings();
+
+		return [
+			'lookbackDays' => (int) $settings['attribution_lookback_days'],
+		];
+	}
+
+	/**
+	 * Get the channel grouping rules for the frontend tracking config
+	 *
+	 * @return array Rules in evaluation order
+	 */
+	public static function get_channel_rules_config() {
+		return array_values( self::get_settings()['channel_rules'] );
+	}
+
+}
@@ -0,0 +1,17 @@
+<?php
+/**
+ * Calendly Scheduling event source type
+ */
+class WeGo_Event_Source_Calendly_Scheduling extends WeGo_Event_Source_Event_List_Abstract {
+
+	/**
+	 * Initialize properties
+	 */
+	protected function init() {
+		$this->type        = 'calendly_scheduling';
+		$this->label       = __( 'Calendly Scheduling', 'wego-traffic-source' );
+		$this->events      = [ 'Date and Time Selected', 'Event Scheduled' ];
+		$this->description = __( 'Works with Calendly inline, popup and badge embeds. Only the event type name and the visitor\'s timezone are recorded, never invitee details.', 'wego-traffic-source' );
+	}
+
+}
@@ -0,0 +1,63 @@
+<?php
+/**
+ * Custom / Manual event source type
+ *
+ * Events are fired from theme or plugin code through the public
+ * `wego.track()` JavaScript API rather than from a DOM listener.
+ */
+class WeGo_Event_Source_Custom extends WeGo_Event_Source_Abstract {
+
+	/**
+	 * Initialize properties
+	 */
+	protected function init() {
+		$this->type  = 'custom';
+		$this->label = __( 'Custom / Manual', 'wego-traffic-source' );
+	}
+
+	/**
+	 * Render admin config fields
+	 *
+	 * @param int|string $index        Row index for field names (or '{{INDEX}}' for templates)
+	 * @param array      $tracked_event Saved tracked event data
+	 */
+	public function render_config_fields( $index, $tracked_event ) {
+		$slug = $tracked_event['slug'] ?? '';
+		$example_slug = $slug ? $slug : 'your_slug';
+		?>
+		<div class="wego-config-fields" data-event-source-type="custom">
+			<p class="description">
+				<?= esc_html__( 'Fired from your own JavaScript:', 'wego-traffic-source' ); ?>
+				<br>
+				<code>wego.track( '<?= esc_html( $example_slug ); ?>', 'Primary value', { key: 'value' } );</code>
+			</p>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Validate submitted data
+	 *
+	 * Nothing to configure, events are defined entirely by the calling code.
+	 *
+	 * @param array  $form_data Submitted form data for this event source
+	 * @param string $name      Tracked event name (for error messages)
+	 * @return array|null Error array or null if valid
+	 */
+	public function validate( $form_data, $name ) {
+		return null;
+	}
+
+	/**
+	 * Build event_source array from submitted data
+	 *
+	 * @param array $form_data Submitted form data
+	 * @return array Event source configuration
+	 */
+	public function build_event_source( $form_data ) {
+		return [
+			'type' => $this->type,
+		];
+	}
+
+}
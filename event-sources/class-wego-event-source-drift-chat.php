@@ -0,0 +1,16 @@
+<?php
+/**
+ * Drift Chat event source type
+ */
+class WeGo_Event_Source_Drift_Chat extends WeGo_Event_Source_Event_List_Abstract {
+
+	/**
+	 * Initialize properties
+	 */
+	protected function init() {
+		$this->type   = 'drift_chat';
+		$this->label  = __( 'Drift Chat', 'wego-traffic-source' );
+		$this->events = [ 'Chat Opened', 'Chat Closed', 'Conversation Started', 'Email Captured', 'Meeting Booked' ];
+	}
+
+}
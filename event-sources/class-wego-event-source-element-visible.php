@@ -0,0 +1,116 @@
+<?php
+/**
+ * Element Visible (impression) event source type
+ */
+class WeGo_Event_Source_Element_Visible extends WeGo_Event_Source_Abstract {
+
+	/**
+	 * Defaults for new tracked events
+	 */
+	const DEFAULT_MIN_VISIBLE_PERCENT = 50;
+	const DEFAULT_MIN_DWELL_SECONDS = 1;
+
+	/**
+	 * Initialize properties
+	 */
+	protected function init() {
+		$this->type  = 'element_visible';
+		$this->label = __( 'Element Visible', 'wego-traffic-source' );
+	}
+
+	/**
+	 * Render admin config fields
+	 *
+	 * @param int|string $index        Row index for field names (or '{{INDEX}}' for templates)
+	 * @param array      $tracked_event Saved tracked event data
+	 */
+	public function render_config_fields( $index, $tracked_event ) {
+		$selector = $tracked_event['event_source']['selector'] ?? '';
+		$min_visible_percent = $tracked_event['event_source']['minVisiblePercent'] ?? self::DEFAULT_MIN_VISIBLE_PERCENT;
+		$min_dwell_seconds = $tracked_event['event_source']['minDwellSeconds'] ?? self::DEFAULT_MIN_DWELL_SECONDS;
+		?>
+		<div class="wego-config-fields" data-event-source-type="element_visible">
+			<textarea
+				name="tracked_events[<?= esc_attr( $index ); ?>][event_source_selector]"
+				placeholder="<?= esc_attr__( 'e.g., .promo-banner, section.cta-block', 'wego-traffic-source' ); ?>"><?= esc_textarea( $selector ); ?></textarea>
+			<div class="wego-field-group wego-inline-number-fields">
+				<label>
+					<?= esc_html__( 'Minimum visible (%):', 'wego-traffic-source' ); ?>
+					<input type="number"
+						name="tracked_events[<?= esc_attr( $index ); ?>][event_source_min_visible_percent]"
+						value="<?= esc_attr( $min_visible_percent ); ?>"
+						min="1" max="100" step="1">
+				</label>
+				<label>
+					<?= esc_html__( 'Minimum time visible (seconds):', 'wego-traffic-source' ); ?>
+					<input type="number"
+						name="tracked_events[<?= esc_attr( $index ); ?>][event_source_min_dwell_seconds]"
+						value="<?= esc_attr( $min_dwell_seconds ); ?>"
+						min="0" step="0.1">
+				</label>
+			</div>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Validate submitted data
+	 *
+	 * @param array  $form_data Submitted form data for this event source
+	 * @param string $name      Tracked event name (for error messages)
+	 * @return array|null Error array or null if valid
+	 */
+	public function validate( $form_data, $name ) {
+		$selector = $form_data['event_source_selector'] ?? '';
+		$min_visible_percent = $form_data['event_source_min_visible_percent'] ?? '';
+		$min_dwell_seconds = $form_data['event_source_min_dwell_seconds'] ?? '';
+
+		if ( empty( trim( $selector ) ) ) {
+			return [
+				'code'    => 'invalid_css_selector',
+				'message' => sprintf(
+					__( 'Tracked event "%s": CSS Selector cannot be empty. Please provide an element selector.', 'wego-traffic-source' ),
+					$name
+				),
+			];
+		}
+
+		if ( ! is_numeric( $min_visible_percent ) || $min_visible_percent < 1 || $min_visible_percent > 100 ) {
+			return [
+				'code'    => 'invalid_min_visible_percent',
+				'message' => sprintf(
+					__( 'Tracked event "%s": Minimum visible percentage must be between 1 and 100.', 'wego-traffic-source' ),
+					$name
+				),
+			];
+		}
+
+		if ( ! is_numeric( $min_dwell_seconds ) || $min_dwell_seconds < 0 ) {
+			return [
+				'code'    => 'invalid_min_dwell_seconds',
+				'message' => sprintf(
+					__( 'Tracked event "%s": Minimum time visible must be zero or more seconds.', 'wego-traffic-source' ),
+					$name
+				),
+			];
+		}
+
+		return null;
+	}
+
+	/**
+	 * Build event_source array from submitted data
+	 *
+	 * @param array $form_data Submitted form data
+	 * @return array Event source configuration
+	 */
+	public function build_event_source( $form_data ) {
+		return [
+			'type'              => $this->type,
+			'selector'          => sanitize_textarea_field( wp_unslash( $form_data['event_source_selector'] ) ),
+			'minVisiblePercent' => absint( $form_data['event_source_min_visible_percent'] ),
+			'minDwellSeconds'   => round( (float) $form_data['event_source_min_dwell_seconds'], 1 ),
+		];
+	}
+
+}
@@ -0,0 +1,117 @@
+<?php
+/**
+ * Abstract base class for event source types that track a fixed list of
+ * vendor events, picked with checkboxes (chat widgets, schedulers)
+ *
+ * Concrete classes only set $type, $label and $events in init(), plus an
+ * optional $description shown under the checkboxes.
+ */
+
+abstract class WeGo_Event_Source_Event_List_Abstract extends WeGo_Event_Source_Abstract {
+
+	/** @var string[] Valid event names (display-ready, canonical) */
+	protected $events = [];
+
+	/** @var string Help text shown under the checkboxes, empty for none */
+	protected $description = '';
+
+	/**
+	 * Render admin config fields
+	 *
+	 * @param int|string $index        Row index for field names (or '{{INDEX}}' for templates)
+	 * @param array      $tracked_event Saved tracked event data
+	 */
+	public function render_config_fields( $index, $tracked_event ) {
+		$selected_events = $tracked_event['event_source']['events'] ?? [];
+		?>
+		<div class="wego-config-fields" data-event-source-type="<?= esc_attr( $this->type ); ?>">
+			<div class="wego-event-list-checkboxes">
+				<?php foreach ( $this->events as $event_name ) : ?>
+					<label>
+						<input type="checkbox"
+							name="tracked_events[<?= esc_attr( $index ); ?>][event_source_events][]"
+							value="<?= esc_attr( $event_name ); ?>"
+							<?php checked( in_array( $event_name, $selected_events, true ) ); ?>>
+						<?= esc_html( $event_name ); ?>
+					</label>
+				<?php endforeach; ?>
+			</div>
+			<?php if ( $this->description ) : ?>
+				<p class="description">
+					<?= esc_html( $this->description ); ?>
+				</p>
+			<?php endif; ?>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Validate submitted data
+	 *
+	 * @param array  $form_data Submitted form data for this event source
+	 * @param string $name      Tracked event name (for error messages)
+	 * @return array|null Error array or null if valid
+	 */
+	public function validate( $form_data, $name ) {
+		$selected_events = $this->get_submitted_events( $form_data );
+
+		// Validate at least one event is selected
+		if ( empty( $selected_events ) ) {
+			return [
+				'code'    => "no_{$this->type}_events",
+				'message' => sprintf(
+					__( 'Tracked event "%s": Please select at least one %s event to track.', 'wego-traffic-source' ),
+					$name,
+					$this->label
+				),
+			];
+		}
+
+		// Validate all selected events are valid
+		foreach ( $selected_events as $event_name ) {
+			if ( ! in_array( $event_name, $this->events, true ) ) {
+				return [
+					'code'    => "invalid_{$this->type}_event",
+					'message' => sprintf(
+						__( 'Tracked event "%s": Invalid %s event "%s" selected.', 'wego-traffic-source' ),
+						$name,
+						$this->label,
+						$event_name
+					),
+				];
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Build event_source array from submitted data
+	 *
+	 * @param array $form_data Submitted form data
+	 * @return array Event source configuration
+	 */
+	public function build_event_source( $form_data ) {
+		return [
+			'type'   => $this->type,
+			'events' => $this->get_submitted_events( $form_data ),
+		];
+	}
+
+	/**
+	 * Get the sanitized event names from submitted data
+	 *
+	 * @param array $form_data Submitted form data
+	 * @return string[]
+	 */
+	protected function get_submitted_events( $form_data ) {
+		$selected_events = $form_data['event_source_events'] ?? [];
+
+		if ( ! is_array( $selected_events ) ) {
+			$selected_events = [];
+		}
+
+		return array_map( 'sanitize_text_field', array_map( 'wp_unslash', $selected_events ) );
+	}
+
+}
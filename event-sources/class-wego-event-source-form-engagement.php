@@ -0,0 +1,71 @@
+<?php
+/**
+ * Form Engagement event source type
+ */
+class WeGo_Event_Source_Form_Engagement extends WeGo_Event_Source_Abstract {
+
+	/**
+	 * Initialize properties
+	 */
+	protected function init() {
+		$this->type  = 'form_engagement';
+		$this->label = __( 'Form Engagement', 'wego-traffic-source' );
+	}
+
+	/**
+	 * Render admin config fields
+	 *
+	 * @param int|string $index        Row index for field names (or '{{INDEX}}' for templates)
+	 * @param array      $tracked_event Saved tracked event data
+	 */
+	public function render_config_fields( $index, $tracked_event ) {
+		$selector = $tracked_event['event_source']['selector'] ?? '';
+		?>
+		<div class="wego-config-fields" data-event-source-type="form_engagement">
+			<textarea
+				name="tracked_events[<?= esc_attr( $index ); ?>][event_source_selector]"
+				placeholder="<?= esc_attr__( 'e.g., form.contact-form, form#booking', 'wego-traffic-source' ); ?>"><?= esc_textarea( $selector ); ?></textarea>
+			<p class="description">
+				<?= esc_html__( 'Sends "Started" on the first field interaction and "Abandoned" when a started form is left without submitting. Field values are never recorded.', 'wego-traffic-source' ); ?>
+			</p>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Validate submitted data
+	 *
+	 * @param array  $form_data Submitted form data for this event source
+	 * @param string $name      Tracked event name (for error messages)
+	 * @return array|null Error array or null if valid
+	 */
+	public function validate( $form_data, $name ) {
+		$selector = $form_data['event_source_selector'] ?? '';
+
+		if ( empty( trim( $selector ) ) ) {
+			return [
+				'code'    => 'invalid_css_selector',
+				'message' => sprintf(
+					__( 'Tracked event "%s": CSS Selector cannot be empty. Please provide a form selector.', 'wego-traffic-source' ),
+					$name
+				),
+			];
+		}
+
+		return null;
+	}
+
+	/**
+	 * Build event_source array from submitted data
+	 *
+	 * @param array $form_data Submitted form data
+	 * @return array Event source configuration
+	 */
+	public function build_event_source( $form_data ) {
+		return [
+			'type'     => $this->type,
+			'selector' => sanitize_textarea_field( wp_unslash( $form_data['event_source_selector'] ) ),
+		];
+	}
+
+}
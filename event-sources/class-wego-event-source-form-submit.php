@@ -4,6 +4,13 @@
  */
 class WeGo_Event_Source_Form_Submit extends WeGo_Event_Source_Abstract {
 
+	/**
+	 * Confirmation strategies for native (non-AJAX) submits
+	 * IMPORTANT: These values must match the FORM_CONFIRMATION_* constants in wego-traffic-source.js
+	 */
+	const CONFIRMATION_SUBMIT = 'submit';
+	const CONFIRMATION_NEXT_PAGE = 'next_page';
+
 	/**
 	 * Initialize properties
 	 */
@@ -20,11 +27,40 @@ class WeGo_Event_Source_Form_Submit extends WeGo_Event_Source_Abstract {
 	 */
 	public function render_config_fields( $index, $tracked_event ) {
 		$selector = $tracked_event['event_source']['selector'] ?? '';
+		$fields = $tracked_event['event_source']['fields'] ?? [];
+		$confirmation = $tracked_event['event_source']['confirmation'] ?? self::CONFIRMATION_SUBMIT;
 		?>
 		<div class="wego-config-fields" data-event-source-type="form_submit">
 			<textarea
 				name="tracked_events[<?= esc_attr( $index ); ?>][event_source_selector]"
 				placeholder="<?= esc_attr__( 'e.g., form.contact-form, form#booking', 'wego-traffic-source' ); ?>"><?= esc_textarea( $selector ); ?></textarea>
+			<div class="wego-field-group">
+				<label>
+					<?= esc_html__( 'Field values to record (optional):', 'wego-traffic-source' ); ?>
+					<input type="text"
+						name="tracked_events[<?= esc_attr( $index ); ?>][event_source_fields]"
+						value="<?= esc_attr( implode( ', ', $fields ) ); ?>"
+						placeholder="<?= esc_attr__( 'Field names e.g.: service, location', 'wego-traffic-source' ); ?>">
+				</label>
+				<p class="description">
+					<?= esc_html__( 'Emails, phone numbers and card numbers are redacted. Ninja Forms uses field keys.', 'wego-traffic-source' ); ?>
+				</p>
+			</div>
+			<div class="wego-field-group">
+				<label>
+					<?= esc_html__( 'Count a submit:', 'wego-traffic-source' ); ?>
+					<select name="tracked_events[<?= esc_attr( $index ); ?>][event_source_confirmation]">
+						<?php foreach ( self::get_confirmation_strategies() as $strategy => $strategy_label ) : ?>
+							<option value="<?= esc_attr( $strategy ); ?>" <?php selected( $confirmation, $strategy ); ?>>
+								<?= esc_html( $strategy_label ); ?>
+							</option>
+						<?php endforeach; ?>
+					</select>
+				</label>
+				<p class="description">
+					<?= esc_html__( 'Use the next page for forms that reload the page with errors when the server rejects them, the selector must then name the form\'s ID, class or another attribute. Form plugins that submit with AJAX and full page Gravity Forms are always confirmed.', 'wego-traffic-source' ); ?>
+				</p>
+			</div>
 		</div>
 		<?php
 	}
@@ -50,6 +86,35 @@ class WeGo_Event_Source_Form_Submit extends WeGo_Event_Source_Abstract {
 			];
 		}
 
+		$confirmation = sanitize_text_field( wp_unslash( $form_data['event_source_confirmation'] ?? self::CONFIRMATION_SUBMIT ) );
+
+		if ( ! array_key_exists( $confirmation, self::get_confirmation_strategies() ) ) {
+			return [
+				'code'    => 'invalid_confirmation',
+				'message' => sprintf(
+					__( 'Tracked event "%s": Invalid submit confirmation "%s" selected.', 'wego-traffic-source' ),
+					$name,
+					$confirmation
+				),
+			];
+		}
+
+		// The next page can only tell the form apart from other forms if the
+		// selector names its ID, class or another attribute
+		if ( self::CONFIRMATION_NEXT_PAGE === $confirmation ) {
+			foreach ( array_filter( array_map( 'trim', explode( ',', $trimmed ) ), 'strlen' ) as $single_selector ) {
+				if ( ! preg_match( '/[#.\[]/', $single_selector ) ) {
+					return [
+						'code'    => 'unidentified_next_page_form',
+						'message' => sprintf(
+							__( 'Tracked event "%s": Next page confirmation needs a selector with the form\'s ID, class or another attribute, e.g. form#contact.', 'wego-traffic-source' ),
+							$name
+						),
+					];
+				}
+			}
+		}
+
 		return null;
 	}
 
@@ -60,10 +125,28 @@ class WeGo_Event_Source_Form_Submit extends WeGo_Event_Source_Abstract {
 	 * @return array Event source configuration
 	 */
 	public function build_event_source( $form_data ) {
-		   return [
-			   'type'     => $this->type,
-			   'selector' => sanitize_textarea_field( wp_unslash( $form_data['event_source_selector'] ) ),
-		   ];
+		$fields = explode( ',', sanitize_text_field( wp_unslash( $form_data['event_source_fields'] ?? '' ) ) );
+
+		$confirmation = sanitize_text_field( wp_unslash( $form_data['event_source_confirmation'] ?? '' ) );
+
+		return [
+			'type'         => $this->type,
+			'selector'     => sanitize_textarea_field( wp_unslash( $form_data['event_source_selector'] ) ),
+			'fields'       => array_values( array_unique( array_filter( array_map( 'trim', $fields ), 'strlen' ) ) ),
+			'confirmation' => array_key_exists( $confirmation, self::get_confirmation_strategies() ) ? $confirmation : self::CONFIRMATION_SUBMIT,
+		];
+	}
+
+	/**
+	 * Get the confirmation strategies for native submits
+	 *
+	 * @return array Labels keyed by strategy
+	 */
+	public static function get_confirmation_strategies() {
+		return [
+			self::CONFIRMATION_SUBMIT    => __( 'When the form is submitted', 'wego-traffic-source' ),
+			self::CONFIRMATION_NEXT_PAGE => __( 'When the next page doesn\'t show the form again', 'wego-traffic-source' ),
+		];
 	}
 
 }
@@ -0,0 +1,16 @@
+<?php
+/**
+ * HubSpot Chat event source type
+ */
+class WeGo_Event_Source_HubSpot_Chat extends WeGo_Event_Source_Event_List_Abstract {
+
+	/**
+	 * Initialize properties
+	 */
+	protected function init() {
+		$this->type   = 'hubspot_chat';
+		$this->label  = __( 'HubSpot Chat', 'wego-traffic-source' );
+		$this->events = [ 'Widget Interacted', 'Conversation Started', 'Conversation Closed', 'Widget Closed' ];
+	}
+
+}
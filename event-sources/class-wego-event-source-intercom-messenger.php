@@ -0,0 +1,16 @@
+<?php
+/**
+ * Intercom Messenger event source type
+ */
+class WeGo_Event_Source_Intercom_Messenger extends WeGo_Event_Source_Event_List_Abstract {
+
+	/**
+	 * Initialize properties
+	 */
+	protected function init() {
+		$this->type   = 'intercom_messenger';
+		$this->label  = __( 'Intercom Messenger', 'wego-traffic-source' );
+		$this->events = [ 'Messenger Opened', 'Messenger Closed', 'Email Supplied' ];
+	}
+
+}
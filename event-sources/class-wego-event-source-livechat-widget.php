@@ -0,0 +1,16 @@
+<?php
+/**
+ * LiveChat Widget event source type
+ */
+class WeGo_Event_Source_LiveChat_Widget extends WeGo_Event_Source_Event_List_Abstract {
+
+	/**
+	 * Initialize properties
+	 */
+	protected function init() {
+		$this->type   = 'livechat_widget';
+		$this->label  = __( 'LiveChat Widget', 'wego-traffic-source' );
+		$this->events = [ 'Chat Opened', 'Chat Started', 'Pre-Chat Form Submitted', 'Ticket Form Submitted' ];
+	}
+
+}
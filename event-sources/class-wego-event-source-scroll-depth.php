@@ -0,0 +1,120 @@
+<?php
+/**
+ * Scroll Depth event source type
+ */
+class WeGo_Event_Source_Scroll_Depth extends WeGo_Event_Source_Abstract {
+
+	/**
+	 * Valid scroll depth thresholds (percent)
+	 */
+	const VALID_THRESHOLDS = [ 25, 50, 75, 90, 100 ];
+
+	/**
+	 * Initialize properties
+	 */
+	protected function init() {
+		$this->type  = 'scroll_depth';
+		$this->label = __( 'Scroll Depth', 'wego-traffic-source' );
+	}
+
+	/**
+	 * Render admin config fields
+	 *
+	 * @param int|string $index        Row index for field names (or '{{INDEX}}' for templates)
+	 * @param array      $tracked_event Saved tracked event data
+	 */
+	public function render_config_fields( $index, $tracked_event ) {
+		$selector = $tracked_event['event_source']['selector'] ?? '';
+		$thresholds = $tracked_event['event_source']['thresholds'] ?? [];
+		?>
+		<div class="wego-config-fields" data-event-source-type="scroll_depth">
+			<textarea
+				name="tracked_events[<?= esc_attr( $index ); ?>][event_source_selector]"
+				placeholder="<?= esc_attr__( 'Optional content container e.g.: article.entry-content. Leave empty for the whole page.', 'wego-traffic-source' ); ?>"><?= esc_textarea( $selector ); ?></textarea>
+			<div class="wego-field-group">
+				<label><?= esc_html__( 'Thresholds to track:', 'wego-traffic-source' ); ?></label>
+				<div class="wego-scroll-depth-checkboxes">
+					<?php foreach ( self::VALID_THRESHOLDS as $threshold ) : ?>
+						<label>
+							<input type="checkbox"
+								name="tracked_events[<?= esc_attr( $index ); ?>][event_source_thresholds][]"
+								value="<?= esc_attr( $threshold ); ?>"
+								<?php checked( in_array( $threshold, array_map( 'intval', $thresholds ), true ) ); ?>>
+							<?= esc_html( $threshold . '%' ); ?>
+						</label>
+					<?php endforeach; ?>
+				</div>
+			</div>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Validate submitted data
+	 *
+	 * The selector is optional, an empty selector measures the whole document.
+	 *
+	 * @param array  $form_data Submitted form data for this event source
+	 * @param string $name      Tracked event name (for error messages)
+	 * @return array|null Error array or null if valid
+	 */
+	public function validate( $form_data, $name ) {
+		$thresholds = $form_data['event_source_thresholds'] ?? [];
+
+		if ( ! is_array( $thresholds ) ) {
+			$thresholds = [];
+		}
+
+		// Validate at least one threshold is selected
+		if ( empty( $thresholds ) ) {
+			return [
+				'code'    => 'no_thresholds',
+				'message' => sprintf(
+					__( 'Tracked event "%s": Please select at least one scroll depth threshold to track.', 'wego-traffic-source' ),
+					$name
+				),
+			];
+		}
+
+		// Validate all selected thresholds are valid
+		foreach ( $thresholds as $threshold ) {
+			if ( ! in_array( absint( $threshold ), self::VALID_THRESHOLDS, true ) ) {
+				return [
+					'code'    => 'invalid_threshold',
+					'message' => sprintf(
+						__( 'Tracked event "%s": Invalid scroll depth threshold "%s" selected.', 'wego-traffic-source' ),
+						$name,
+						sanitize_text_field( wp_unslash( $threshold ) )
+					),
+				];
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Build event_source array from submitted data
+	 *
+	 * @param array $form_data Submitted form data
+	 * @return array Event source configuration
+	 */
+	public function build_event_source( $form_data ) {
+		$selector = $form_data['event_source_selector'] ?? '';
+		$thresholds = $form_data['event_source_thresholds'] ?? [];
+
+		if ( ! is_array( $thresholds ) ) {
+			$thresholds = [];
+		}
+
+		$thresholds = array_values( array_unique( array_map( 'absint', $thresholds ) ) );
+		sort( $thresholds );
+
+		return [
+			'type'       => $this->type,
+			'selector'   => trim( sanitize_textarea_field( wp_unslash( $selector ) ) ),
+			'thresholds' => $thresholds,
+		];
+	}
+
+}
@@ -0,0 +1,16 @@
+<?php
+/**
+ * Tawk.to Chat event source type
+ */
+class WeGo_Event_Source_TawkTo_Chat extends WeGo_Event_Source_Event_List_Abstract {
+
+	/**
+	 * Initialize properties
+	 */
+	protected function init() {
+		$this->type   = 'tawkto_chat';
+		$this->label  = __( 'Tawk.to Chat', 'wego-traffic-source' );
+		$this->events = [ 'Chat Opened', 'Chat Started', 'Chat Ended', 'Pre-Chat Form Submitted', 'Offline Form Submitted' ];
+	}
+
+}
@@ -0,0 +1,129 @@
+<?php
+/**
+ * Vimeo Video event source type
+ */
+class WeGo_Event_Source_Vimeo extends WeGo_Event_Source_Abstract {
+
+	/**
+	 * Valid Vimeo player states (display-ready, canonical, shared with YouTube where they overlap)
+	 */
+	const VALID_STATES = [ 'Playing', 'Paused', 'Ended', 'Progress' ];
+
+	/**
+	 * Initialize properties
+	 */
+	protected function init() {
+		$this->type  = 'vimeo_video';
+		$this->label = __( 'Vimeo Video', 'wego-traffic-source' );
+	}
+
+	/**
+	 * Render admin config fields
+	 *
+	 * @param int|string $index        Row index for field names (or '{{INDEX}}' for templates)
+	 * @param array      $tracked_event Saved tracked event data
+	 */
+	public function render_config_fields( $index, $tracked_event ) {
+		$selector = $tracked_event['event_source']['selector'] ?? '';
+		$states = $tracked_event['event_source']['states'] ?? [];
+		?>
+		<div class="wego-config-fields" data-event-source-type="vimeo_video">
+			<textarea
+				name="tracked_events[<?= esc_attr( $index ); ?>][event_source_selector]"
+				placeholder="<?= esc_attr__( 'Vimeo iframe target e.g.: iframe[src*="player.vimeo.com"]', 'wego-traffic-source' ); ?>"><?= esc_textarea( $selector ); ?></textarea>
+			<div class="wego-field-group">
+				<label><?= esc_html__( 'State changes to track:', 'wego-traffic-source' ); ?></label>
+				<div class="wego-vimeo-checkboxes">
+					<?php foreach ( self::VALID_STATES as $state_label ) : ?>
+						<label>
+							<input type="checkbox"
+								name="tracked_events[<?= esc_attr( $index ); ?>][event_source_states][]"
+								value="<?= esc_attr( $state_label ); ?>"
+								<?php checked( in_array( $state_label, $states, true ) ); ?>>
+							<?= esc_html( $state_label ); ?>
+						</label>
+					<?php endforeach; ?>
+				</div>
+				<p class="description"><?= esc_html__( 'Progress reports 25%, 50%, 75% and 90% watched.', 'wego-traffic-source' ); ?></p>
+			</div>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Validate submitted data
+	 *
+	 * @param array  $form_data Submitted form data for this event source
+	 * @param string $name      Tracked event name (for error messages)
+	 * @return array|null Error array or null if valid
+	 */
+	public function validate( $form_data, $name ) {
+		$selector = $form_data['event_source_selector'] ?? '';
+		$states = $form_data['event_source_states'] ?? [];
+
+		if ( empty( trim( $selector ) ) ) {
+			return [
+				'code'    => 'empty_selector',
+				'message' => sprintf(
+					__( 'Tracked event "%s": CSS selector cannot be empty.', 'wego-traffic-source' ),
+					$name
+				),
+			];
+		}
+
+		if ( ! is_array( $states ) ) {
+			$states = [];
+		}
+
+		$states = array_map( 'sanitize_text_field', array_map( 'wp_unslash', $states ) );
+
+		// Validate at least one state is selected
+		if ( empty( $states ) ) {
+			return [
+				'code'    => 'no_states',
+				'message' => sprintf(
+					__( 'Tracked event "%s": Please select at least one video state to track.', 'wego-traffic-source' ),
+					$name
+				),
+			];
+		}
+
+		// Validate all selected states are valid
+		foreach ( $states as $state ) {
+			if ( ! in_array( $state, self::VALID_STATES, true ) ) {
+				return [
+					'code'    => 'invalid_state',
+					'message' => sprintf(
+						__( 'Tracked event "%s": Invalid video state "%s" selected.', 'wego-traffic-source' ),
+						$name,
+						$state
+					),
+				];
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Build event_source array from submitted data
+	 *
+	 * @param array $form_data Submitted form data
+	 * @return array Event source configuration
+	 */
+	public function build_event_source( $form_data ) {
+		$selector = $form_data['event_source_selector'] ?? '';
+		$states = $form_data['event_source_states'] ?? [];
+
+		if ( ! is_array( $states ) ) {
+			$states = [];
+		}
+
+		return [
+			'type'     => $this->type,
+			'selector' => sanitize_textarea_field( wp_unslash( $selector ) ),
+			'states'   => array_map( 'sanitize_text_field', array_map( 'wp_unslash', $states ) ),
+		];
+	}
+
+}
@@ -10,6 +10,11 @@ class WeGo_Event_Source_YouTube extends WeGo_Event_Source_Abstract {
      */
     const VALID_STATES = [ 'Playing', 'Paused', 'Ended', 'Buffering' ];
 
+	/**
+	 * Valid progress milestones (percent watched)
+	 */
+	const VALID_MILESTONES = [ 25, 50, 75, 90 ];
+
 	/**
 	 * Initialize properties
 	 */
@@ -27,6 +32,7 @@ class WeGo_Event_Source_YouTube extends WeGo_Event_Source_Abstract {
 	public function render_config_fields( $index, $tracked_event ) {
 			$selector = $tracked_event['event_source']['selector'] ?? '';
 			$states = $tracked_event['event_source']['states'] ?? [];
+			$milestones = array_map( 'intval', $tracked_event['event_source']['milestones'] ?? [] );
 			$placeholder = esc_attr__( 'YouTube iframe target e.g.: iframe[data-track-video], iframe.hero-video', 'wego-traffic-source' );
 			$textarea_name = 'tracked_events[' . esc_attr( $index ) . '][event_source_selector]';
 			?>
@@ -46,6 +52,20 @@ class WeGo_Event_Source_YouTube extends WeGo_Event_Source_Abstract {
 						<?php endforeach; ?>
 					</div>
 				</div>
+				<div class="wego-field-group">
+					<label><?= esc_html__( 'Progress milestones to track (% watched):', 'wego-traffic-source' ); ?></label>
+					<div class="wego-youtube-milestone-checkboxes">
+						<?php foreach ( self::VALID_MILESTONES as $milestone ) : ?>
+							<label>
+								<input type="checkbox"
+									name="tracked_events[<?= esc_attr( $index ); ?>][event_source_milestones][]"
+									value="<?= esc_attr( $milestone ); ?>"
+									<?php checked( in_array( $milestone, $milestones, true ) ); ?>>
+								<?= esc_html( $milestone . '%' ); ?>
+							</label>
+						<?php endforeach; ?>
+					</div>
+				</div>
 			</div>
 			<?php
 	}
@@ -84,24 +104,44 @@ class WeGo_Event_Source_YouTube extends WeGo_Event_Source_Abstract {
 			];
 		}
 
-		// Validate states
+		// Validate states and milestones
+		$milestones = $form_data['event_source_milestones'] ?? [];
+
 		if ( ! is_array( $states ) ) {
 			$states = [];
 		}
 
+		if ( ! is_array( $milestones ) ) {
+			$milestones = [];
+		}
+
 		$states = array_map( 'sanitize_text_field', array_map( 'wp_unslash', $states ) );
 
-		// Validate at least one state is selected
-		if ( empty( $states ) ) {
+		// Validate at least one state or milestone is selected
+		if ( empty( $states ) && empty( $milestones ) ) {
 			return [
 				'code'    => 'no_states',
 				'message' => sprintf(
-					__( 'Tracked event "%s": Please select at least one video state to track.', 'wego-traffic-source' ),
+					__( 'Tracked event "%s": Please select at least one video state or progress milestone to track.', 'wego-traffic-source' ),
 					$name
 				),
 			];
 		}
 
+		// Validate all selected milestones are valid
+		foreach ( $milestones as $milestone ) {
+			if ( ! in_array( absint( $milestone ), self::VALID_MILESTONES, true ) ) {
+				return [
+					'code'    => 'invalid_milestone',
+					'message' => sprintf(
+						__( 'Tracked event "%s": Invalid progress milestone "%s" selected.', 'wego-traffic-source' ),
+						$name,
+						sanitize_text_field( wp_unslash( $milestone ) )
+					),
+				];
+			}
+		}
+
 			// Validate all selected states are valid
 			foreach ( $states as $state ) {
 				if ( ! in_array( $state, self::VALID_STATES, true ) ) {
@@ -128,18 +168,26 @@ class WeGo_Event_Source_YouTube extends WeGo_Event_Source_Abstract {
 	public function build_event_source( $form_data ) {
 		$selector = $form_data['event_source_selector'] ?? '';
 		$states = $form_data['event_source_states'] ?? [];
+		$milestones = $form_data['event_source_milestones'] ?? [];
 
 		if ( ! is_array( $states ) ) {
 			$states = [];
 		}
 
+		if ( ! is_array( $milestones ) ) {
+			$milestones = [];
+		}
+
 		$selector = sanitize_text_field( wp_unslash( $selector ) );
 		$states = array_map( 'sanitize_text_field', array_map( 'wp_unslash', $states ) );
+		$milestones = array_values( array_unique( array_map( 'absint', $milestones ) ) );
+		sort( $milestones );
 
 		return [
-			'type'     => $this->type,
-			'selector' => $selector,
-			'states'   => $states,
+			'type'       => $this->type,
+			'selector'   => $selector,
+			'states'     => $states,
+			'milestones' => $milestones,
 		];
 	}
 
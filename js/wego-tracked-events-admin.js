@@ -35,8 +35,19 @@ const dom = {
 const validationHandlers = {
 	link_click: validateLinkClick,
 	form_submit: validateFormSubmit,
+	form_engagement: validateFormEngagement,
 	podium_widget: validatePodiumWidget,
-	youtube_video: validateYouTubeVideo
+	intercom_messenger: validateIntercomMessenger,
+	drift_chat: validateDriftChat,
+	tawkto_chat: validateTawkToChat,
+	livechat_widget: validateLiveChatWidget,
+	hubspot_chat: validateHubSpotChat,
+	calendly_scheduling: validateCalendlyScheduling,
+	youtube_video: validateYouTubeVideo,
+	html5_media: validateHTML5Media,
+	vimeo_video: validateVimeoVideo,
+	scroll_depth: validateScrollDepth,
+	element_visible: validateElementVisible
 };
 
 /**
@@ -98,6 +109,19 @@ function validateFormSubmit( row ) {
 		};
 	}
 
+	// The next page can only tell the form apart from other forms if the
+	// selector names its ID, class or another attribute
+	const confirmationField = row.querySelector( 'select[name*="[event_source_confirmation]"]' );
+	if ( confirmationField && confirmationField.value === 'next_page' ) {
+		const unidentified = selectorValue.split( ',' ).map( s => s.trim() ).filter( s => s ).some( s => ! /[#.[]/.test( s ) );
+		if ( unidentified ) {
+			return {
+				validation: { valid: false, error: 'Next page confirmation needs a selector with the form\'s ID, class or another attribute, e.g. form#contact' },
+				field: selectorField
+			};
+		}
+	}
+
 	try {
 		const selectors = selectorValue.split( ',' ).map( s => s.trim() ).filter( s => s );
 		for ( const singleSelector of selectors ) {
@@ -115,6 +139,35 @@ function validateFormSubmit( row ) {
 	}
 }
 
+/**
+ * Validate form engagement event source
+ */
+function validateFormEngagement( row ) {
+	const selectorField = row.querySelector( 'textarea[name*="[event_source_selector]"]' );
+	const selectorValue = selectorField ? selectorField.value.trim() : '';
+
+	if ( ! selectorValue || selectorValue === '' ) {
+		return {
+			validation: { valid: false, error: 'Selector cannot be empty' },
+			field: selectorField
+		};
+	}
+
+	try {
+		document.querySelectorAll( selectorValue );
+	} catch ( error ) {
+		return {
+			validation: { valid: false, error: 'Invalid CSS selector' },
+			field: selectorField
+		};
+	}
+
+	return {
+		validation: { valid: true },
+		field: selectorField
+	};
+}
+
 /**
  * Validate Podium widget event source
  */
@@ -135,13 +188,133 @@ function validatePodiumWidget( row ) {
 	};
 }
 
+/**
+ * Validate Intercom Messenger event source
+ */
+function validateIntercomMessenger( row ) {
+	const checkboxContainer = row.querySelector( '.wego-event-list-checkboxes' );
+	const checkboxes = row.querySelectorAll( 'input[name*="[event_source_events]"]:checked' );
+
+	if ( checkboxes.length === 0 ) {
+		return {
+			validation: { valid: false, error: 'Please select at least one Intercom event to track' },
+			field: checkboxContainer
+		};
+	}
+
+	return {
+		validation: { valid: true },
+		field: checkboxContainer
+	};
+}
+
+/**
+ * Validate Drift chat event source
+ */
+function validateDriftChat( row ) {
+	const checkboxContainer = row.querySelector( '.wego-event-list-checkboxes' );
+	const checkboxes = row.querySelectorAll( 'input[name*="[event_source_events]"]:checked' );
+
+	if ( checkboxes.length === 0 ) {
+		return {
+			validation: { valid: false, error: 'Please select at least one Drift event to track' },
+			field: checkboxContainer
+		};
+	}
+
+	return {
+		validation: { valid: true },
+		field: checkboxContainer
+	};
+}
+
+/**
+ * Validate Tawk.to chat event source
+ */
+function validateTawkToChat( row ) {
+	const checkboxContainer = row.querySelector( '.wego-event-list-checkboxes' );
+	const checkboxes = row.querySelectorAll( 'input[name*="[event_source_events]"]:checked' );
+
+	if ( checkboxes.length === 0 ) {
+		return {
+			validation: { valid: false, error: 'Please select at least one Tawk.to event to track' },
+			field: checkboxContainer
+		};
+	}
+
+	return {
+		validation: { valid: true },
+		field: checkboxContainer
+	};
+}
+
+/**
+ * Validate LiveChat widget event source
+ */
+function validateLiveChatWidget( row ) {
+	const checkboxContainer = row.querySelector( '.wego-event-list-checkboxes' );
+	const checkboxes = row.querySelectorAll( 'input[name*="[event_source_events]"]:checked' );
+
+	if ( checkboxes.length === 0 ) {
+		return {
+			validation: { valid: false, error: 'Please select at least one LiveChat event to track' },
+			field: checkboxContainer
+		};
+	}
+
+	return {
+		validation: { valid: true },
+		field: checkboxContainer
+	};
+}
+
+/**
+ * Validate HubSpot chat event source
+ */
+function validateHubSpotChat( row ) {
+	const checkboxContainer = row.querySelector( '.wego-event-list-checkboxes' );
+	const checkboxes = row.querySelectorAll( 'input[name*="[event_source_events]"]:checked' );
+
+	if ( checkboxes.length === 0 ) {
+		return {
+			validation: { valid: false, error: 'Please select at least one HubSpot chat event to track' },
+			field: checkboxContainer
+		};
+	}
+
+	return {
+		validation: { valid: true },
+		field: checkboxContainer
+	};
+}
+
+/**
+ * Validate Calendly scheduling event source
+ */
+function validateCalendlyScheduling( row ) {
+	const checkboxContainer = row.querySelector( '.wego-event-list-checkboxes' );
+	const checkboxes = row.querySelectorAll( 'input[name*="[event_source_events]"]:checked' );
+
+	if ( checkboxes.length === 0 ) {
+		return {
+			validation: { valid: false, error: 'Please select at least one Calendly event to track' },
+			field: checkboxContainer
+		};
+	}
+
+	return {
+		validation: { valid: true },
+		field: checkboxContainer
+	};
+}
+
 /**
  * Validate YouTube video event source
  */
 function validateYouTubeVideo( row ) {
 	const selectorField = row.querySelector( 'textarea[name*="[event_source_selector]"]' );
 	const selectorValue = selectorField ? selectorField.value.trim() : '';
-	const checkboxes = row.querySelectorAll( 'input[name*="[event_source_states]"]:checked' );
+	const checkboxes = row.querySelectorAll( 'input[name*="[event_source_states]"]:checked, input[name*="[event_source_milestones]"]:checked' );
 	const checkboxContainer = row.querySelector( '.wego-youtube-checkboxes' );
 
 	// Validate CSS selector
@@ -171,6 +344,86 @@ function validateYouTubeVideo( row ) {
 		};
 	}
 
+	// Validate at least one state or milestone selected
+	if ( checkboxes.length === 0 ) {
+		return {
+			validation: { valid: false, error: 'Please select at least one video state or progress milestone to track' },
+			field: checkboxContainer
+		};
+	}
+
+	return {
+		validation: { valid: true },
+		field: selectorField
+	};
+}
+
+/**
+ * Validate HTML5 video/audio event source
+ */
+function validateHTML5Media( row ) {
+	const selectorField = row.querySelector( 'textarea[name*="[event_source_selector]"]' );
+	const selectorValue = selectorField ? selectorField.value.trim() : '';
+	const checkboxes = row.querySelectorAll( 'input[name*="[event_source_states]"]:checked' );
+	const checkboxContainer = row.querySelector( '.wego-media-checkboxes' );
+
+	// Validate CSS selector
+	if ( ! selectorValue || selectorValue === '' ) {
+		return {
+			validation: { valid: false, error: 'Selector cannot be empty' },
+			field: selectorField
+		};
+	}
+
+	try {
+		document.querySelectorAll( selectorValue );
+	} catch ( error ) {
+		return {
+			validation: { valid: false, error: 'Invalid CSS selector' },
+			field: selectorField
+		};
+	}
+
+	// Validate at least one state selected
+	if ( checkboxes.length === 0 ) {
+		return {
+			validation: { valid: false, error: 'Please select at least one media state to track' },
+			field: checkboxContainer
+		};
+	}
+
+	return {
+		validation: { valid: true },
+		field: selectorField
+	};
+}
+
+/**
+ * Validate Vimeo video event source
+ */
+function validateVimeoVideo( row ) {
+	const selectorField = row.querySelector( 'textarea[name*="[event_source_selector]"]' );
+	const selectorValue = selectorField ? selectorField.value.trim() : '';
+	const checkboxes = row.querySelectorAll( 'input[name*="[event_source_states]"]:checked' );
+	const checkboxContainer = row.querySelector( '.wego-vimeo-checkboxes' );
+
+	// Validate CSS selector
+	if ( ! selectorValue || selectorValue === '' ) {
+		return {
+			validation: { valid: false, error: 'Selector cannot be empty' },
+			field: selectorField
+		};
+	}
+
+	try {
+		document.querySelectorAll( selectorValue );
+	} catch ( error ) {
+		return {
+			validation: { valid: false, error: 'Invalid CSS selector' },
+			field: selectorField
+		};
+	}
+
 	// Validate at least one state selected
 	if ( checkboxes.length === 0 ) {
 		return {
@@ -185,6 +438,89 @@ function validateYouTubeVideo( row ) {
 	};
 }
 
+/**
+ * Validate scroll depth event source
+ */
+function validateScrollDepth( row ) {
+	const selectorField = row.querySelector( 'textarea[name*="[event_source_selector]"]' );
+	const selectorValue = selectorField ? selectorField.value.trim() : '';
+	const checkboxes = row.querySelectorAll( 'input[name*="[event_source_thresholds]"]:checked' );
+	const checkboxContainer = row.querySelector( '.wego-scroll-depth-checkboxes' );
+
+	// CSS selector is optional, empty measures the whole page
+	if ( selectorValue ) {
+		try {
+			document.querySelector( selectorValue );
+		} catch ( error ) {
+			return {
+				validation: { valid: false, error: 'Invalid CSS selector' },
+				field: selectorField
+			};
+		}
+	}
+
+	// Validate at least one threshold selected
+	if ( checkboxes.length === 0 ) {
+		return {
+			validation: { valid: false, error: 'Please select at least one scroll depth threshold to track' },
+			field: checkboxContainer
+		};
+	}
+
+	return {
+		validation: { valid: true },
+		field: selectorField
+	};
+}
+
+/**
+ * Validate element visible event source
+ */
+function validateElementVisible( row ) {
+	const selectorField = row.querySelector( 'textarea[name*="[event_source_selector]"]' );
+	const selectorValue = selectorField ? selectorField.value.trim() : '';
+	const percentField = row.querySelector( 'input[name*="[event_source_min_visible_percent]"]' );
+	const percentValue = percentField ? parseFloat( percentField.value ) : NaN;
+	const dwellField = row.querySelector( 'input[name*="[event_source_min_dwell_seconds]"]' );
+	const dwellValue = dwellField ? parseFloat( dwellField.value ) : NaN;
+
+	// Validate CSS selector
+	if ( ! selectorValue || selectorValue === '' ) {
+		return {
+			validation: { valid: false, error: 'Selector cannot be empty' },
+			field: selectorField
+		};
+	}
+
+	try {
+		document.querySelectorAll( selectorValue );
+	} catch ( error ) {
+		return {
+			validation: { valid: false, error: 'Invalid CSS selector' },
+			field: selectorField
+		};
+	}
+
+	if ( isNaN( percentValue ) || percentValue < 1 || percentValue > 100 ) {
+		return {
+			validation: { valid: false, error: 'Minimum visible percentage must be between 1 and 100' },
+			field: percentField
+		};
+	}
+
+	if ( isNaN( dwellValue ) || dwellValue < 0 ) {
+		return {
+			validation: { valid: false, error: 'Minimum time visible must be zero or more seconds' },
+			field: dwellField
+		};
+	}
+
+	return {
+		validation: { valid: true },
+		field: selectorField
+	};
+}
+
 // ========== Core Setup & Execution ==========
 
 init();
@@ -0,0 +1,170 @@
+/**
+ * State
+ */
+let rowIndex = 0;
+let originalFormData = null;
+let isDirty = false;
+
+/**
+ * DOM References
+ */
+const dom = {
+	tableBody: document.getElementById( 'wego-channel-rules-body' ),
+	addButton: document.getElementById( 'wego-add-channel-rule' ),
+	resetButton: document.getElementById( 'wego-reset-channel-rules' ),
+	template: document.getElementById( 'wego-channel-rule-row-template' ),
+	form: document.querySelector( '.wrap form' )
+};
+
+// ========== Core Setup & Execution ==========
+
+init();
+
+/**
+ * Initialization
+ */
+
+function init() {
+	rowIndex = parseInt( dom.tableBody.dataset.rowIndex, 10 ) || 0;
+
+	captureFormState();
+
+	window.addEventListener( 'beforeunload', handleBeforeUnload );
+	dom.form.addEventListener( 'submit', handleFormSubmit );
+	dom.form.addEventListener( 'input', updateDirtyFlag );
+	dom.form.addEventListener( 'change', updateDirtyFlag );
+	dom.tableBody.addEventListener( 'click', handleTableClick );
+	dom.addButton.addEventListener( 'click', handleAddButtonClick );
+}
+
+function captureFormState() {
+	originalFormData = new FormData( dom.form );
+}
+
+/**
+ * Form State Tracking
+ */
+
+function checkFormDirty() {
+	const currentFormData = new FormData( dom.form );
+	// Not sorted: row order is rule evaluation order, so moving a row is a change
+	const current = Array.from( currentFormData.entries() );
+	const original = Array.from( originalFormData.entries() );
+
+	if ( current.length !== original.length ) {
+		return true;
+	}
+
+	for ( let i = 0; i < current.length; i++ ) {
+		if ( current[i][0] !== original[i][0] || current[i][1] !== original[i][1] ) {
+			return true;
+		}
+	}
+
+	return false;
+}
+
+function updateDirtyFlag() {
+	isDirty = checkFormDirty();
+}
+
+/**
+ * Row Management
+ */
+
+function addRow() {
+	// Clone the template content and replace placeholders
+	const clonedContent = dom.template.content.cloneNode( true );
+
+	for ( const field of clonedContent.querySelectorAll( '[name]' ) ) {
+		field.name = field.name.replace( /\{\{INDEX\}\}/g, rowIndex );
+	}
+
+	dom.tableBody.appendChild( clonedContent );
+
+	const rows = dom.tableBody.querySelectorAll( 'tr' );
+	rows[ rows.length - 1 ].querySelector( 'select' ).focus();
+
+	rowIndex++;
+	updateDirtyFlag();
+}
+
+function deleteRow( row ) {
+	row.remove();
+	updateDirtyFlag();
+}
+
+function moveRow( row, direction ) {
+	if ( direction < 0 && row.previousElementSibling ) {
+		row.previousElementSibling.before( row );
+	} else if ( direction > 0 && row.nextElementSibling ) {
+		row.nextElementSibling.after( row );
+	}
+	updateDirtyFlag();
+}
+
+/**
+ * Event Handlers
+ */
+
+function handleBeforeUnload( e ) {
+	if ( isDirty ) {
+		e.preventDefault();
+		e.returnValue = '';
+		return '';
+	}
+}
+
+function handleFormSubmit( e ) {
+	if ( e.submitter === dom.resetButton ) {
+		if ( ! confirm( 'Replace all channel grouping rules with the defaults?' ) ) {
+			e.preventDefault();
+			return false;
+		}
+		isDirty = false;
+		return;
+	}
+
+	const rows = dom.tableBody.querySelectorAll( 'tr' );
+	let firstErrorField = null;
+
+	// Completely empty rows are skipped on save, half-filled ones are errors
+	for ( const row of rows ) {
+		const valuesField = row.querySelector( '.wego-channel-rule-values' );
+		const labelField = row.querySelector( '.wego-channel-rule-label' );
+		const hasValues = valuesField.value.trim() !== '';
+		const hasLabel = labelField.value.trim() !== '';
+
+		valuesField.classList.toggle( 'form-invalid', hasLabel && ! hasValues );
+		labelField.classList.toggle( 'form-invalid', hasValues && ! hasLabel );
+
+		if ( hasValues !== hasLabel && ! firstErrorField ) {
+			firstErrorField = hasValues ? labelField : valuesField;
+		}
+	}
+
+	if ( firstErrorField ) {
+		e.preventDefault();
+		firstErrorField.scrollIntoView( { behavior: 'smooth', block: 'center' } );
+		alert( 'Each channel grouping rule needs both values and a label.' );
+		return false;
+	}
+
+	isDirty = false;
+}
+
+function handleAddButtonClick() {
+	addRow();
+}
+
+function handleTableClick( e ) {
+	const row = e.target.closest( 'tr' );
+
+	if ( e.target.classList.contains( 'wego-delete-row' ) ) {
+		deleteRow( row );
+	} else if ( e.target.classList.contains( 'wego-move-row-up' ) ) {
+		moveRow( row, -1 );
+	} else if ( e.target.classList.contains( 'wego-move-row-down' ) ) {
+		moveRow( row, 1 );
+	}
+}
@@ -5,6 +5,21 @@
  * @typedef {Object} WeGoTrackingConfig
  * @property {string} endpoint - REST API URL where event data is sent via sendBeacon
  * @property {WeGoTrackedEvent[]} trackedEvents - Array of tracked event definitions
+ * @property {WeGoConsentConfig} [consent] - Consent gating, tracking is ungated when omitted
+ * @property {WeGoAttributionConfig} [attribution] - First/last-touch attribution settings
+ * @property {WeGoChannelRule[]} [channelRules] - Traffic source labelling rules, in evaluation order
+ *
+ * @typedef {Object} WeGoConsentConfig
+ * @property {'none'|'wp_consent_api'|'google_consent_mode'|'tcf'} mode - Where the consent signal is read from
+ * @property {'queue'|'drop'} pendingEvents - What happens to events fired before consent is granted
+ *
+ * @typedef {Object} WeGoAttributionConfig
+ * @property {number} lookbackDays - How long a first or last touch is remembered
+ *
+ * @typedef {Object} WeGoChannelRule
+ * @property {'utm_source'|'utm_medium'|'utm_campaign'|'click_id'|'referrer_domain'} match - What the rule matches on
+ * @property {string[]} values - Lowercase values, * matches any characters (click IDs are parameter names)
+ * @property {string} label - Traffic source label when the rule matches
  *
  * @typedef {Object} WeGoTrackedEvent
  * @property {string} slug - Tracked event identifier, sent to API as event_type
@@ -17,17 +32,57 @@
  * @typedef {Object} WeGoFormSubmitSource
  * @property {'form_submit'} type - Event source type
  * @property {string} selector - CSS selector for form submit events
+ * @property {string[]} [fields] - Names of fields whose (redacted) values are sent as event source data
+ * @property {'submit'|'next_page'} [confirmation] - When a native submit counts, on submit or once
+ *   the next page load doesn't show the form again
+ *
+ * @typedef {Object} WeGoFormEngagementSource
+ * @property {'form_engagement'} type - Event source type
+ * @property {string} selector - CSS selector for forms to watch
  *
  * @typedef {Object} WeGoPodiumWidgetSource
  * @property {'podium_widget'} type - Event source type
  * @property {string[]} events - Array of Podium event names
  *
+ * @typedef {Object} WeGoChatWidgetSource
+ * @property {'intercom_messenger'|'drift_chat'|'tawkto_chat'|'livechat_widget'|'hubspot_chat'} type - Event source type
+ * @property {string[]} events - Array of display-ready vendor event names
+ *
+ * @typedef {Object} WeGoCalendlySchedulingSource
+ * @property {'calendly_scheduling'} type - Event source type
+ * @property {string[]} events - Array of Calendly event names (Date and Time Selected, Event Scheduled)
+ *
  * @typedef {Object} WeGoYouTubeVideoSource
  * @property {'youtube_video'} type - Event source type
  * @property {string} selector - CSS selector for YouTube iframes
  * @property {string[]} states - Array of YouTube video states
+ * @property {number[]} [milestones] - Percent-watched milestones to report (25, 50, 75, 90)
+ *
+ * @typedef {Object} WeGoHTML5MediaSource
+ * @property {'html5_media'} type - Event source type
+ * @property {string} selector - CSS selector for <video>/<audio> elements
+ * @property {string[]} states - Array of media states (Playing, Paused, Ended, Seeked)
+ *
+ * @typedef {Object} WeGoVimeoVideoSource
+ * @property {'vimeo_video'} type - Event source type
+ * @property {string} selector - CSS selector for Vimeo iframes
+ * @property {string[]} states - Array of Vimeo states (Playing, Paused, Ended, Progress)
  *
- * @typedef {WeGoLinkClickSource | WeGoFormSubmitSource | WeGoPodiumWidgetSource | WeGoYouTubeVideoSource} WeGoEventSource
+ * @typedef {Object} WeGoScrollDepthSource
+ * @property {'scroll_depth'} type - Event source type
+ * @property {string} selector - Optional CSS selector for a content container, empty for the whole document
+ * @property {number[]} thresholds - Scroll depth percentages to report (25, 50, 75, 90, 100)
+ *
+ * @typedef {Object} WeGoElementVisibleSource
+ * @property {'element_visible'} type - Event source type
+ * @property {string} selector - CSS selector for elements to watch
+ * @property {number} minVisiblePercent - Percentage of the element (or viewport) that must be visible, 1-100
+ * @property {number} minDwellSeconds - How long the element must stay visible before it counts
+ *
+ * @typedef {Object} WeGoCustomSource
+ * @property {'custom'} type - Event source type, fired via the public wego.track() API
+ *
+ * @typedef {WeGoLinkClickSource | WeGoFormSubmitSource | WeGoFormEngagementSource | WeGoPodiumWidgetSource | WeGoChatWidgetSource | WeGoCalendlySchedulingSource | WeGoYouTubeVideoSource | WeGoHTML5MediaSource | WeGoVimeoVideoSource | WeGoScrollDepthSource | WeGoElementVisibleSource | WeGoCustomSource} WeGoEventSource
  *
  * @example
  * {
@@ -52,32 +107,225 @@
  *
  * @remarks
  * - For link_click: Only elements with an href attribute will trigger events, href becomes primary_value
- * - For form_submit: Form ID or action URL becomes primary_value
- * - For podium_widget: PodiumEventsCallback is set up to handle Podium events
+ * - For form_submit: Form ID or action URL becomes primary_value, allowlisted field values
+ *   are sent as event_source_data with emails, phone numbers and card numbers redacted
+ * - Forms submitted with AJAX by a form plugin are tracked by the plugin's success event, HubSpot
+ *   iframe embeds when the selector matches the iframe or its container (e.g. .hs-form-frame), plugins
+ *   that announce success through jQuery are only tracked when jQuery is loaded
+ * - Native submits count when not cancelled and valid, or with the next_page confirmation (always
+ *   for full page Gravity Forms) on the next page load, unless the form is shown again
+ * - For form_engagement: "Started" fires on the first field interaction, "Abandoned" on pagehide
+ *   if the form wasn't submitted. The last field and completed field count are sent, never values
+ * - For podium_widget: PodiumEventsCallback is set up to handle Podium events, chaining callbacks
+ *   set by other scripts. Identifier properties (e.g. conversationUid) become event_source_data
+ * - For chat widgets (Intercom, Drift, Tawk.to, LiveChat, HubSpot chat): The vendor's JS event API
+ *   is hooked, even if its snippet loads later. The event name becomes primary_value
+ * - For calendly_scheduling: Embed events arrive via postMessage from https://calendly.com only. The
+ *   event name becomes primary_value, the event type and visitor's timezone are sent, never invitee details
+ * - For html5_media: Media title (data-title, aria-label, title), state and time become primary_value
+ * - For vimeo_video: Player events arrive via postMessage, no Vimeo SDK is loaded
+ * - For scroll_depth: Each threshold fires at most once per page view, "50%" becomes primary_value
+ * - For element_visible: Fires once per element per page view, element title/aria-label/id becomes primary_value
+ * - For custom: Events are fired by site code via wego.track( slug, primaryValue, data )
+ * - Add-ons set up their own event source types via wego.registerEventSource( type, setup )
  * - Click events bubble, so selector matches against clicked element and ancestors
+ * - On sites using history.pushState navigation, each route change counts as a new page view
+ * - With a consent mode set, nothing is sent or written to storage until consent is granted
+ * - traffic_source describes the current session, first_touch_source and last_touch_source
+ *   span sessions within the attribution lookback window
+ * - Ad click IDs (gclid, fbclid, msclkid, ttclid) of the last touch are added to event_source_data
+ * - Hidden form fields with a "wego:<token>" value (e.g. wego:utm_source) are filled on load and when added later
+ * - Debug mode (?wego_debug=1, or ?wego_debug=dry_run to build payloads without sending them) outlines
+ *   matched elements, shows a panel of tracked events and logs every payload. Admins keep it on in a cookie
  * - Config is generated server-side via output_tracking_config() in PHP
  */
 
 // Storage keys
 const STORAGE_KEY_UTM = 'wego_utm';
 const STORAGE_KEY_REFERRER = 'wego_referrer';
+const STORAGE_KEY_LANDING_PAGE = 'wego_landing_page';
+const STORAGE_KEY_EVENT_QUEUE = 'wego_event_queue';
+const STORAGE_KEY_ATTRIBUTION = 'wego_attribution';
+const STORAGE_KEY_PENDING_FORM_SUBMISSIONS = 'wego_pending_form_submissions';
+
+const TRAFFIC_SOURCE_DIRECT = 'Direct';
+const UTM_PARAMS = [ 'utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content' ];
+
+// Ad platform click IDs added by auto-tagging, stored with the UTM data even
+// if no channel grouping rule labels them.
+// Note that Meta also adds fbclid to organic links shared on its platforms.
+const CLICK_ID_PARAMS = [ 'gclid', 'msclkid', 'fbclid', 'ttclid' ];
+
+// Channel grouping rule match types
+// IMPORTANT: These values must match WeGo_Tracking_Settings constants in PHP
+const CHANNEL_MATCH_UTM_SOURCE = 'utm_source';
+const CHANNEL_MATCH_UTM_MEDIUM = 'utm_medium';
+const CHANNEL_MATCH_UTM_CAMPAIGN = 'utm_campaign';
+const CHANNEL_MATCH_CLICK_ID = 'click_id';
+const CHANNEL_MATCH_REFERRER_DOMAIN = 'referrer_domain';
+const CHANNEL_UTM_MATCH_TYPES = [ CHANNEL_MATCH_UTM_SOURCE, CHANNEL_MATCH_UTM_MEDIUM, CHANNEL_MATCH_UTM_CAMPAIGN ];
+const ATTRIBUTION_DEFAULT_LOOKBACK_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Delivery queue limits for events that could not be sent
+const EVENT_QUEUE_MAX_SIZE = 25;
+const EVENT_QUEUE_MAX_AGE_MS = DAY_MS;
+
+// Events are buffered briefly and sent together. The server accepts at most
+// 25 events per request (WeGo_Traffic_Source::MAX_BATCH_SIZE).
+const EVENT_BATCH_MAX_SIZE = 10;
+const EVENT_BATCH_DELAY_MS = 2000;
+
+// Consent modes and pending event handling
+// IMPORTANT: These values must match WeGo_Tracking_Settings constants in PHP
+const CONSENT_MODE_NONE = 'none';
+const CONSENT_MODE_WP_CONSENT_API = 'wp_consent_api';
+const CONSENT_MODE_GOOGLE_CONSENT_MODE = 'google_consent_mode';
+const CONSENT_MODE_TCF = 'tcf';
+const CONSENT_PENDING_QUEUE = 'queue';
+const CONSENT_PENDING_DROP = 'drop';
+
+// Events held in memory while waiting for consent
+const CONSENT_PENDING_MAX_SIZE = 50;
+
+// WP Consent API category and TCF v2 purposes that cover our tracking:
+// 1 = Store and/or access information on a device, 8 = Measure content performance
+const WP_CONSENT_CATEGORY = 'statistics';
+const TCF_REQUIRED_PURPOSES = [ 1, 8 ];
 
 // Event source type constants
 // IMPORTANT: These values must match the string values returned by PHP event
 // source classes (get_type()).
 const EVENT_SOURCE_TYPE_LINK_CLICK = 'link_click';
 const EVENT_SOURCE_TYPE_FORM_SUBMIT = 'form_submit';
+const EVENT_SOURCE_TYPE_FORM_ENGAGEMENT = 'form_engagement';
 const EVENT_SOURCE_TYPE_PODIUM_WIDGET = 'podium_widget';
+const EVENT_SOURCE_TYPE_INTERCOM_MESSENGER = 'intercom_messenger';
+const EVENT_SOURCE_TYPE_DRIFT_CHAT = 'drift_chat';
+const EVENT_SOURCE_TYPE_TAWKTO_CHAT = 'tawkto_chat';
+const EVENT_SOURCE_TYPE_LIVECHAT_WIDGET = 'livechat_widget';
+const EVENT_SOURCE_TYPE_HUBSPOT_CHAT = 'hubspot_chat';
+const EVENT_SOURCE_TYPE_CALENDLY_SCHEDULING = 'calendly_scheduling';
 const EVENT_SOURCE_TYPE_YOUTUBE_VIDEO = 'youtube_video';
-
+const EVENT_SOURCE_TYPE_HTML5_MEDIA = 'html5_media';
+const EVENT_SOURCE_TYPE_VIMEO_VIDEO = 'vimeo_video';
+const EVENT_SOURCE_TYPE_SCROLL_DEPTH = 'scroll_depth';
+const EVENT_SOURCE_TYPE_ELEMENT_VISIBLE = 'element_visible';
+const EVENT_SOURCE_TYPE_CUSTOM = 'custom';
+
+// Hidden field values that are replaced: the original combined traffic source
+// value, and "wego:<token>" placeholders, see resolveFormFieldToken()
 const FORM_FIELD_TARGET_VALUE = 'wego-traffic-source';
+const FORM_FIELD_TOKEN_PREFIX = 'wego:';
+
+// Recorded form field values are truncated to this length
+const FORM_FIELD_VALUE_MAX_LENGTH = 200;
+
+// Confirmation strategies for native form submits
+// IMPORTANT: These values must match the CONFIRMATION_* constants in
+// WeGo_Event_Source_Form_Submit
+const FORM_CONFIRMATION_SUBMIT = 'submit';
+const FORM_CONFIRMATION_NEXT_PAGE = 'next_page';
+
+// Full page form submits are confirmed on the next page load, which must
+// happen within this time
+const PENDING_FORM_SUBMISSION_TTL_MS = 60 * 1000;
+
 const SELECTOR_CONFIG_DATA_SCRIPT = 'script.wego-tracking-config';
+const EVENT_PUBLIC_API_READY = 'wego:ready';
+const EVENT_ROUTE_CHANGE = 'wego:routechange';
+
+// Debug mode query parameter, cookie and values
+// IMPORTANT: These values must match the DEBUG_* constants in WeGo_Traffic_Source
+const DEBUG_QUERY_VAR = 'wego_debug';
+const DEBUG_COOKIE = 'wego_debug';
+const DEBUG_MODE_ON = '1';
+const DEBUG_MODE_DRY_RUN = 'dry_run';
+
+// Debug panel match counts are refreshed this long after the page stops changing
+const DEBUG_PANEL_REFRESH_DELAY_MS = 250;
+
+// ========== Module State ==========
+// Declared ahead of Main Execution, which would otherwise reach them before
+// their declarations run
+
+/** @type {(WeGoChannelRule & {patterns: RegExp[]})[]} Channel grouping rules, in evaluation order */
+let channelRules = [];
+
+/**
+ * Traffic source of this page load, kept in memory until consent allows
+ * storing it. Captured once the channel rules are known, since click ID
+ * rules add parameters to capture.
+ *
+ * @type {WeGoTrafficSourceData}
+ */
+let landingTrafficSource = { utm: {}, referrer: '', landingPage: '' };
+
+let attributionLookbackMs = ATTRIBUTION_DEFAULT_LOOKBACK_DAYS * DAY_MS;
+
+/** @type {WeGoConsentConfig} */
+let consentConfig = { mode: CONSENT_MODE_NONE, pendingEvents: CONSENT_PENDING_QUEUE };
+let hasConsent = false;
+
+/** @type {{endpoint: string, payload: Object}[]} Events fired before consent was granted */
+let consentPendingEvents = [];
+
+/** @type {Function[]} Run each time consent is granted */
+const consentGrantedCallbacks = [];
+
+/** @type {Map<string, WeGoEventSourceSetup>} Setup functions by event source type, see registerEventSourceType() */
+const eventSourceSetups = new Map();
+
+/** @type {WeGoTrackedEvent[]} Tracked events whose event source type isn't registered (yet) */
+let unregisteredTrackedEvents = [];
+
+// Slugs of active custom tracked events that wego.track() may fire
+const customEventSlugs = new Set();
+
+/** @type {Map<string, ((value: any) => void)[]>} Callbacks waiting for a vendor global, see whenGlobalDefined() */
+const globalDefinedCallbacks = new Map();
+
+// Last route seen by the History API hooks
+let currentRoute = getCurrentRoute();
+
+/** @type {Set<WeGoSelectorWatcher>} Active DOM target watchers */
+const selectorWatchers = new Set();
+
+/** @type {MutationObserver|null} Shared observer for all selector watchers */
+let targetObserver = null;
+
+/** @type {{endpoint: string, payload: Object}[]} Events waiting to be sent as a batch */
+let eventBuffer = [];
+let eventBufferTimer = null;
+
+let isFlushingEventQueue = false;
+
+/** @type {WeGoDebugMode|null} Null unless debug mode is on, see getDebugMode() */
+let debugMode = null;
+
+/** @type {HTMLElement|null} */
+let debugPanel = null;
 
 // ========== Main Execution ==========
 
-setupEventTracking();
-storeTrafficSourceData();
-populateFormFields();
+const trackingConfig = loadTrackingConfig();
+// Known before anything can send an event, so every payload is logged
+debugMode = getDebugMode();
+setupChannelRules( trackingConfig?.channelRules );
+landingTrafficSource = captureTrafficSourceData();
+
+// Consent gating comes first, everything that stores or sends data waits on it.
+// Traffic source data must be stored before the public API is announced, in
+// case site code fires an event as soon as it's ready
+setupConsentGating( trackingConfig?.consent );
+setupAttribution( trackingConfig?.attribution );
+onConsentGranted( storeTrafficSourceData );
+setupRouteChangeDetection();
+setupEventTracking( trackingConfig );
+setupFormFieldPopulation();
+setupEventBatching();
+setupEventQueue();
+setupDebugPanel( trackingConfig );
 
 // ========== Core Setup & Execution ==========
 
@@ -103,51 +351,275 @@ function validateTrackingConfig( rawConfig ) {
 }
 
 /**
- * Set up handlers for the tracked events in the inline JSON config
+ * Read the inline JSON config
+ *
+ * @returns {WeGoTrackingConfig|null} Validated config or null if missing or invalid
  */
-function setupEventTracking() {
+function loadTrackingConfig() {
 	const configElement = document.querySelector( SELECTOR_CONFIG_DATA_SCRIPT );
 	if ( !configElement ) {
-		return;
+		return null;
 	}
 
-	let config;
 	try {
 		const parsed = JSON.parse( configElement.textContent );
-		config = validateTrackingConfig( parsed );
+		const config = validateTrackingConfig( parsed );
 		if ( !config ) {
 			console.error( 'WeGo Tracking: Invalid config structure' );
-			return;
 		}
+		return config;
 	} catch ( e ) {
 		console.error( 'WeGo Tracking: Failed to parse config', e );
+		return null;
+	}
+}
+
+/**
+ * Set up handlers for the tracked events in the inline JSON config
+ *
+ * Tracked events are set up by the function registered for their event
+ * source type. Add-ons register theirs with wego.registerEventSource() when
+ * the public API is ready, which sets up their tracked events right away.
+ *
+ * @param {WeGoTrackingConfig|null} config - The tracking config
+ */
+function setupEventTracking( config ) {
+	if ( !config ) {
+		return;
+	}
+
+	registerBuiltInEventSources();
+
+	unregisteredTrackedEvents = config.trackedEvents.filter( trackedEvent => trackedEvent.eventSource && trackedEvent.slug );
+	setupRegisteredTrackedEvents( config.endpoint );
+
+	setupPublicApi( config.endpoint );
+
+	// Add-ons loaded later can still register, but anything missing by now
+	// is most likely a deactivated add-on or a typo. The debug panel lists
+	// these too.
+	if ( !debugMode ) {
 		return;
 	}
+	for ( const trackedEvent of unregisteredTrackedEvents ) {
+		console.debug( `wego-traffic-source: No event source registered for type "${trackedEvent.eventSource.type}", tracked event "${trackedEvent.slug}" is not set up` );
+	}
+}
+
+/**
+ * Set up a tracked event for its event source type
+ *
+ * @callback WeGoEventSourceSetup
+ * @param {WeGoTrackedEvent} trackedEvent - The tracked event configuration
+ * @param {string} endpoint - The REST API endpoint URL
+ * @param {(primaryValue: string, data?: Object|null) => boolean} send - Send an event for this
+ *   tracked event, for add-ons that can't reach the internal send functions
+ */
+
+/**
+ * Register the event sources built into this script
+ */
+function registerBuiltInEventSources() {
+	registerEventSourceType( EVENT_SOURCE_TYPE_LINK_CLICK, setupLinkClickTracking );
+	registerEventSourceType( EVENT_SOURCE_TYPE_FORM_SUBMIT, setupFormSubmitTracking );
+	registerEventSourceType( EVENT_SOURCE_TYPE_FORM_ENGAGEMENT, setupFormEngagementTracking );
+	registerEventSourceType( EVENT_SOURCE_TYPE_PODIUM_WIDGET, setupPodiumEventTracking );
+	registerEventSourceType( EVENT_SOURCE_TYPE_INTERCOM_MESSENGER, setupIntercomEventTracking );
+	registerEventSourceType( EVENT_SOURCE_TYPE_DRIFT_CHAT, setupDriftEventTracking );
+	registerEventSourceType( EVENT_SOURCE_TYPE_TAWKTO_CHAT, setupTawkToEventTracking );
+	registerEventSourceType( EVENT_SOURCE_TYPE_LIVECHAT_WIDGET, setupLiveChatEventTracking );
+	registerEventSourceType( EVENT_SOURCE_TYPE_HUBSPOT_CHAT, setupHubSpotChatEventTracking );
+	registerEventSourceType( EVENT_SOURCE_TYPE_CALENDLY_SCHEDULING, setupCalendlyEventTracking );
+	registerEventSourceType( EVENT_SOURCE_TYPE_YOUTUBE_VIDEO, setupYouTubeEventTracking );
+	registerEventSourceType( EVENT_SOURCE_TYPE_HTML5_MEDIA, setupHTML5MediaEventTracking );
+	registerEventSourceType( EVENT_SOURCE_TYPE_VIMEO_VIDEO, setupVimeoEventTracking );
+	registerEventSourceType( EVENT_SOURCE_TYPE_SCROLL_DEPTH, setupScrollDepthTracking );
+	registerEventSourceType( EVENT_SOURCE_TYPE_ELEMENT_VISIBLE, setupElementVisibleTracking );
+	registerEventSourceType( EVENT_SOURCE_TYPE_CUSTOM, setupCustomEventTracking );
+}
+
+/**
+ * Register the setup function for an event source type
+ *
+ * Types can't be registered twice, so add-ons can't replace built-in types.
+ *
+ * @param {string} type - Event source type, matching the PHP class's get_type()
+ * @param {WeGoEventSourceSetup} setup
+ * @returns {boolean} True if the type was registered
+ */
+function registerEventSourceType( type, setup ) {
+	if ( typeof type !== 'string' || !type || typeof setup !== 'function' ) {
+		console.error( 'wego-traffic-source: An event source needs a type and a setup function', { type, setup } );
+		return false;
+	}
+
+	if ( eventSourceSetups.has( type ) ) {
+		console.error( `wego-traffic-source: Event source type "${type}" is already registered` );
+		return false;
+	}
+
+	eventSourceSetups.set( type, setup );
+	return true;
+}
 
-	// Set up tracking for each tracked event based on its event source type
-	for ( const trackedEvent of config.trackedEvents ) {
-		if ( !trackedEvent.eventSource || !trackedEvent.slug ) {
+/**
+ * Set up the tracked events whose event source type is now registered
+ *
+ * A setup that throws only loses its own tracked event.
+ *
+ * @param {string} endpoint - The REST API endpoint URL
+ */
+function setupRegisteredTrackedEvents( endpoint ) {
+	const stillUnregistered = [];
+
+	for ( const trackedEvent of unregisteredTrackedEvents ) {
+		const setup = eventSourceSetups.get( trackedEvent.eventSource.type );
+		if ( !setup ) {
+			stillUnregistered.push( trackedEvent );
 			continue;
 		}
 
-		switch ( trackedEvent.eventSource.type ) {
-			case EVENT_SOURCE_TYPE_LINK_CLICK:
-				setupLinkClickTracking( trackedEvent, config.endpoint );
-				break;
+		const send = ( primaryValue, data = null ) => {
+			if ( typeof primaryValue === 'number' ) {
+				primaryValue = String( primaryValue );
+			}
+			if ( typeof primaryValue !== 'string' || !primaryValue.trim() ) {
+				console.error( `wego-traffic-source: An event for "${trackedEvent.slug}" requires a non-empty primary value` );
+				return false;
+			}
 
-			case EVENT_SOURCE_TYPE_FORM_SUBMIT:
-				setupFormSubmitTracking( trackedEvent, config.endpoint );
-				break;
+			sendEventBeacon( endpoint, trackedEvent.slug, primaryValue.trim(), sanitizeCustomEventData( data, trackedEvent.slug ) );
+			return true;
+		};
 
-			case EVENT_SOURCE_TYPE_PODIUM_WIDGET:
-				setupPodiumEventTracking( trackedEvent, config.endpoint );
-				break;
+		try {
+			setup( trackedEvent, endpoint, send );
+		} catch ( error ) {
+			console.error( `wego-traffic-source: Setting up tracked event "${trackedEvent.slug}" failed`, error );
+		}
+	}
 
-			case EVENT_SOURCE_TYPE_YOUTUBE_VIDEO:
-				setupYouTubeEventTracking( trackedEvent, config.endpoint );
-				break;
+	unregisteredTrackedEvents = stillUnregistered;
+
+	if ( debugPanel ) {
+		refreshDebugPanel();
+	}
+}
+
+// ========== Public API ==========
+
+/**
+ * Expose the public `window.wego` API for site code
+ *
+ * The script is a deferred module, so code that runs earlier should wait for
+ * the `wego:ready` event on document before calling the API:
+ *
+ * @example
+ * document.addEventListener( 'wego:ready', () => {
+ *   wego.track( 'booking_done', 'Consultation', { step: 3 } );
+ * } );
+ *
+ * @param {string} endpoint - The REST API endpoint URL
+ */
+function setupPublicApi( endpoint ) {
+	window.wego = Object.assign( window.wego || {}, {
+		/**
+		 * Fire a custom tracked event
+		 *
+		 * @param {string} slug - Slug of an active "Custom / Manual" tracked event
+		 * @param {string} primaryValue - The primary value for the event
+		 * @param {Object<string, string|number|boolean>|null} data - Optional flat key/value data, stored as event source data
+		 * @returns {boolean} True if the event was accepted for sending
+		 */
+		track( slug, primaryValue, data = null ) {
+			if ( !customEventSlugs.has( slug ) ) {
+				console.error( `wego-traffic-source: wego.track() called with unknown or inactive custom event slug "${slug}"` );
+				return false;
+			}
+
+			if ( typeof primaryValue === 'number' ) {
+				primaryValue = String( primaryValue );
+			}
+			if ( typeof primaryValue !== 'string' || !primaryValue.trim() ) {
+				console.error( `wego-traffic-source: wego.track() requires a non-empty primary value for "${slug}"` );
+				return false;
+			}
+
+			sendEventBeacon( endpoint, slug, primaryValue.trim(), sanitizeCustomEventData( data, slug ) );
+			return true;
+		},
+
+		/**
+		 * Register the client side of an add-on's event source type
+		 *
+		 * Tracked events of the type are set up straight away, the setup
+		 * function receives a send( primaryValue, data ) function for each.
+		 *
+		 * @example
+		 * document.addEventListener( 'wego:ready', () => {
+		 *   wego.registerEventSource( 'quiz_result', ( trackedEvent, endpoint, send ) => {
+		 *     document.addEventListener( 'quiz:complete', ( e ) => send( e.detail.result ) );
+		 *   } );
+		 * } );
+		 *
+		 * @param {string} type - Event source type, matching the add-on's PHP event source class
+		 * @param {WeGoEventSourceSetup} setup
+		 * @returns {boolean} True if the type was registered
+		 */
+		registerEventSource( type, setup ) {
+			if ( !registerEventSourceType( type, setup ) ) {
+				return false;
+			}
+
+			setupRegisteredTrackedEvents( endpoint );
+			return true;
+		}
+	} );
+
+	document.dispatchEvent( new CustomEvent( EVENT_PUBLIC_API_READY ) );
+}
+
+// ========== Custom Events ==========
+
+/**
+ * Register a custom tracked event so it can be fired via wego.track()
+ *
+ * @param {WeGoTrackedEvent} trackedEvent - The custom tracked event configuration
+ */
+function setupCustomEventTracking( trackedEvent ) {
+	customEventSlugs.add( trackedEvent.slug );
+}
+
+/**
+ * Reduce caller-supplied data to flat scalar values
+ *
+ * Event source data is rendered as a key/value table and exported as CSV
+ * columns, so nested values are dropped rather than stored.
+ *
+ * @param {any} data - Data passed to wego.track() or an add-on's send()
+ * @param {string} slug - Event slug for logging
+ * @returns {Object|null} Sanitized data, or null if there is nothing to send
+ */
+function sanitizeCustomEventData( data, slug ) {
+	if ( data === null || data === undefined ) {
+		return null;
+	}
+
+	if ( typeof data !== 'object' || Array.isArray( data ) ) {
+		console.error( `wego-traffic-source: Event data for "${slug}" must be a plain object, ignoring it` );
+		return null;
+	}
+
+	const eventSourceData = {};
+	for ( const [ key, value ] of Object.entries( data ) ) {
+		if ( [ 'string', 'number', 'boolean' ].includes( typeof value ) ) {
+			eventSourceData[ key ] = value;
+		} else {
+			console.warn( `wego-traffic-source: Dropped non-scalar event data key "${key}" for "${slug}"` );
 		}
 	}
+
+	return Object.keys( eventSourceData ).length ? eventSourceData : null;
 }
 
 // ========== Links ==========
@@ -159,22 +631,20 @@ function setupEventTracking() {
 * @param {string} endpoint - The REST API endpoint URL
 */
 function setupLinkClickTracking( trackedEvent, endpoint ) {
-	// Check if there are any links matching the selector
-	const links = validateSelectorAll( trackedEvent.eventSource.selector, trackedEvent.slug );
-
-	if ( !links.length ) {
-		// No matching targets, nothing to track
-		return;
+	// Start listening once there are links matching the selector, now or when
+	// they're added to the page later (sliders, popups)
+	watchSelector( trackedEvent.eventSource.selector, trackedEvent.slug, attachListener, { once: true } );
+
+	function attachListener() {
+		document.addEventListener( 'click', ( e ) => {
+			const target = validateClosest( e.target, trackedEvent.eventSource.selector, trackedEvent.slug );
+			if ( !target || !target.hasAttribute( 'href' ) ) {
+				return;
+			}
+			// href is the primary value for link click events
+			sendEventBeacon( endpoint, trackedEvent.slug, target.getAttribute( 'href' ) );
+		} );
 	}
-
-	document.addEventListener( 'click', ( e ) => {
-		const target = validateClosest( e.target, trackedEvent.eventSource.selector, trackedEvent.slug );
-		if ( !target || !target.hasAttribute( 'href' ) ) {
-			return;
-		}
-		// href is the primary value for link click events
-		sendEventBeacon( endpoint, trackedEvent.slug, target.getAttribute( 'href' ) );
-	} );
 }
 
 // ========== Forms ==========
@@ -182,443 +652,3183 @@ function setupLinkClickTracking( trackedEvent, endpoint ) {
 /**
  * Set up tracking for form submission events
  *
- * All AJAX submit support requires requires `jQuery.on()`; no native event support
+ * Native submits are tracked unless a form plugin adapter submits the form
+ * with AJAX, in which case the plugin's success event is tracked instead.
+ * See getFormPluginAdapters().
  *
- * TODO: Haven't found a way to track non-ajax Gravity forms yet
+ * Native submits only count if no other handler cancels them and the form
+ * is valid. Forms the server rejects by reloading the page with errors can
+ * be confirmed on the next page load instead, which is always the case for
+ * full page Gravity Forms submits.
  *
  * @param {WeGoTrackedEvent} trackedEvent - The form submit tracked event configuration
  * @param {string} endpoint - The REST API endpoint URL
  */
 function setupFormSubmitTracking( trackedEvent, endpoint ) {
-	const CF7_AJAX_EVENT = 'wpcf7mailsent';
-	const FORMIDABLE_AJAX_CLASS = 'frm_ajax_submit';
-	const FORMIDABLE_AJAX_EVENT = 'frmFormComplete';
-	const GRAVITY_AJAX_EVENT = 'gform_confirmation_loaded';
-	const NINJA_AJAX_EVENT = 'nfFormSubmitResponse';
+	/** @type {Map<string, {form: HTMLFormElement, label: string, fieldEntries: Array<[string, any]>}>} AJAX plugin forms submitted this page view, by ID */
+	const submittedAjaxForms = new Map();
 
-	// Check if there are any forms matching the selector
-	const forms = validateSelectorAll( trackedEvent.eventSource.selector, trackedEvent.slug );
+	confirmPendingFormSubmissions();
 
-	if ( !forms.length ) {
-		// No matching targets, nothing to track or listen for
-		return;
-	}
+	// Start listening once there are forms matching the selector, now or when
+	// they're added to the page later (popups, AJAX-rendered forms)
+	watchSelector( trackedEvent.eventSource.selector, trackedEvent.slug, attachListeners, { once: true } );
 
 	/**
-	 * General form submit events that match the selector
+	 * Attach the native and form plugin submit listeners
 	 */
-	document.addEventListener( 'submit', ( e ) => {
-		const form = validateClosest( e.target, trackedEvent.eventSource.selector, trackedEvent.slug );
-
-		// Some AJAX submits will still fire form submit so we need to ignore those
-		function shouldNotListen( formElement ) {
-			return (
-				formElement.classList.contains( 'wpcf7-form' )
-				||  !!formElement.closest('.wpcf7')
-				|| form.classList.contains( FORMIDABLE_AJAX_CLASS )
-			);
-		};
+	function attachListeners() {
+		/**
+		 * General form submit events that match the selector
+		 */
+		document.addEventListener( 'submit', ( e ) => {
+			const form = validateClosest( e.target, trackedEvent.eventSource.selector, trackedEvent.slug );
+			if ( !form ) {
+				return;
+			}
 
-		if ( !form || shouldNotListen( form ) ) {
-			return;
-		}
+			const gravityFormId = getGravityFormId( form );
+
+			// AJAX form plugins still fire form submit, even when validation
+			// fails, so those are tracked by their success event instead. The
+			// form is kept for plugins that remove it before then.
+			if ( isFormPluginAjaxForm( form ) ) {
+				if ( form.id ) {
+					submittedAjaxForms.set( form.id, {
+						form,
+						label: gravityFormId ? getGravityFormTitle( gravityFormId ) : '',
+						fieldEntries: Array.from( new FormData( form ).entries() ),
+					} );
+				}
+				return;
+			}
 
-		handleFormSubmit( form );
-	} );
+			// Read the values now, before anything resets the form
+			const fieldEntries = Array.from( new FormData( form ).entries() );
 
-	/**
-	 * Gravity Forms AJAX submit support
-	 *
-	 * Haven't figured out how to detect non AJAX submits yet (native form
-	 * submit is thwarted) and only the form ID is available. Because form
-	 * plugins hate you.
-	 */
-	jQuery( document ).on( GRAVITY_AJAX_EVENT, function( event, formId ) {
-		// Form is gone by this point, this is duct tape until 2.4
-		handleFormSubmit( null, `Gravity Form ID ${formId}` );
-	} );
+			// Handlers that run after this one can still cancel the submit
+			setTimeout( () => {
+				if ( e.defaultPrevented || !form.checkValidity() ) {
+					return;
+				}
 
-	/**
-	 * Formidable Forms AJAX submit support
-	 *
-	 * Best labelling is to set the title, though it's only discoverable in a
-	 * screen reader legend inside the form.  This is because form plugins hate
-	 * you.
-	 */
-	jQuery( document ).on( FORMIDABLE_AJAX_EVENT, function( event, /** @type {HTMLFormElement} */ form ) {
-		// Legend should be the form title, grab it and use it if it exists
-		const legendText = form.querySelector( 'legend' )?.textContent?.trim() || '';
-		handleFormSubmit( form, legendText );
-	} );
+				if ( gravityFormId || trackedEvent.eventSource.confirmation === FORM_CONFIRMATION_NEXT_PAGE ) {
+					recordPendingFormSubmission( {
+						slug: trackedEvent.slug,
+						formId: form.getAttribute( 'id' ) || '',
+						formFingerprint: form.getAttribute( 'id' ) ? '' : getFormFingerprint( form ),
+						primaryValue: gravityFormId ? getGravityFormTitle( gravityFormId ) : getElementLabel( form ) || 'Unknown form',
+						eventSourceData: collectFormFieldValues( fieldEntries, trackedEvent.eventSource.fields || [] ),
+						pagePath: getCurrentRoute(),
+					} );
+					return;
+				}
+
+				handleFormSubmit( form, '', fieldEntries );
+			}, 0 );
+		} );
+
+		onFormPluginSubmit( ( submission ) => {
+			let { form, label, fieldEntries } = submission;
+
+			// Plugins that remove the form before their success event identify it
+			// by ID, it must have been submitted on this page
+			if ( submission.formId ) {
+				const submitted = submittedAjaxForms.get( submission.formId );
+				if ( !submitted ) {
+					return;
+				}
+				submittedAjaxForms.delete( submission.formId );
+				( { form, label, fieldEntries } = submitted );
+			} else if ( !validateClosest( form || submission.embed, trackedEvent.eventSource.selector, trackedEvent.slug ) ) {
+				return;
+			}
+
+			handleFormSubmit( form, label, fieldEntries );
+		} );
+	}
 
 	/**
-	 * Ninja Forms AJAX submit support
+	 * Send the submits recorded on the previous page that went through
+	 *
+	 * If the form is back on the page it was rejected (validation errors or
+	 * the next step of a multi-page form), otherwise it was replaced by its
+	 * confirmation message or redirected away from. Forms without an ID are
+	 * back if a form matching the selector has the same fingerprint.
 	 */
-	jQuery( document ).on( NINJA_AJAX_EVENT, function( event, response ) {
-		const formTitle = String( response?.response?.data?.settings?.title || "" );
-		const formId = response?.id;
-		const formContainer = formId ? document.querySelector( `#nf-form-${formId}-cont` ) : null;
-		const formElement = formContainer?.querySelector( 'form' ) || null;
-
-		if ( !formElement ) {
-			console.error( 'wego-traffic-source: Could not find form element for Ninja Forms AJAX submit.', {
-				response,
-				formId,
-				formContainer
-			} );
-			return;
+	function confirmPendingFormSubmissions() {
+		for ( const pending of takePendingFormSubmissions( trackedEvent.slug ) ) {
+			const isFormShown = pending.formId
+				? !!document.getElementById( pending.formId )
+				: validateSelectorAll( trackedEvent.eventSource.selector, trackedEvent.slug )
+					.some( element => element instanceof HTMLFormElement && getFormFingerprint( element ) === pending.formFingerprint );
+
+			if ( !isFormShown ) {
+				sendEventBeacon( endpoint, trackedEvent.slug, pending.primaryValue, pending.eventSourceData, pending.pagePath );
+			}
 		}
-
-		handleFormSubmit( formElement, formTitle );
-	} );
+	}
 
 	/**
-	 * Contact Form 7 AJAX submit support
+	 * Identify a form without an ID across page loads
+	 *
+	 * A search or newsletter form on the next page also matches a broad
+	 * selector, so the action, name and position among the matching forms
+	 * must all be the same.
 	 *
-	 * Best labelling is to set the title
+	 * @param {HTMLFormElement} form
+	 * @returns {string}
 	 */
-	document.addEventListener( CF7_AJAX_EVENT, function( event ) {
-		handleFormSubmit( event.target );
-	} );
+	function getFormFingerprint( form ) {
+		const matches = validateSelectorAll( trackedEvent.eventSource.selector, trackedEvent.slug )
+			.filter( element => element instanceof HTMLFormElement );
+
+		return JSON.stringify( [
+			form.getAttribute( 'action' ) || '',
+			form.getAttribute( 'name' ) || form.getAttribute( 'aria-label' ) || '',
+			matches.indexOf( form ),
+		] );
+	}
 
 	/**
 	 * Handle form submission and send beacon
 	 *
 	 * @param {any} form - Form element from event
 	 * @param {string} primaryValue Will override and be used as the primary value if set
+	 * @param {Array<[string, any]>|null} fieldEntries - Submitted name/value pairs, read from the form if null
 	 */
-	function handleFormSubmit( form, primaryValue = "" ) {
+	function handleFormSubmit( form, primaryValue = "", fieldEntries = null ) {
 		primaryValue =
 			primaryValue
-			|| form?.title
-			|| form?.ariaLabel
-			|| form?.id
-			|| form?.name
-			|| form?.getAttribute?.( 'role' )
-			|| form?.action
+			|| getElementLabel( form )
 			|| 'Unknown form';
-		sendEventBeacon( endpoint, trackedEvent.slug, primaryValue );
+
+		if ( fieldEntries === null && form instanceof HTMLFormElement ) {
+			fieldEntries = Array.from( new FormData( form ).entries() );
+		}
+
+		const eventSourceData = collectFormFieldValues( fieldEntries || [], trackedEvent.eventSource.fields || [] );
+		sendEventBeacon( endpoint, trackedEvent.slug, primaryValue, eventSourceData );
+	}
+}
+
+/**
+ * @typedef {Object} WeGoFormPluginSubmission
+ * @property {HTMLFormElement|null} form - Submitted form, null if the plugin has already removed it
+ * @property {string} label - Primary value from the plugin, empty to label the form element
+ * @property {Array<[string, any]>|null} fieldEntries - Submitted name/value pairs, read from the form if null
+ * @property {string} [formId] - ID of a form the plugin removed, matched to the form submitted natively
+ * @property {Element|null} [embed] - Embed to match against the selector when the form isn't on the
+ *   page (iframe embeds). Submissions with no form, form ID or embed are ignored
+ *
+ * @typedef {Object} WeGoFormPluginAdapter
+ * @property {string} name - Form plugin name
+ * @property {(form: HTMLFormElement) => boolean} detect - Whether the plugin submits this form with AJAX
+ * @property {string} event - Success event name
+ * @property {'jquery'|'document'|'window'} eventTarget - Where the success event is listened for,
+ *   jQuery events are triggered on document (or bubble to it) and are skipped without jQuery
+ * @property {(event: any, ...args: any[]) => WeGoFormPluginSubmission|null} getSubmission - Extract the
+ *   form and label from the success event, null to ignore it
+ */
+
+/**
+ * Form plugins that submit with AJAX, and how to recognise a successful submit
+ *
+ * Because form plugins hate you, each one announces success differently and
+ * most only through jQuery.
+ *
+ * @returns {WeGoFormPluginAdapter[]}
+ */
+function getFormPluginAdapters() {
+	// HubSpot embeds post their callbacks from the page itself or from a HubSpot
+	// forms iframe
+	const HUBSPOT_ORIGIN_PATTERN = /^https:\/\/([a-z0-9-]+\.)*(hsforms\.net|hsforms\.com|hubspot\.com)$/;
+
+	return [
+		{
+			name: 'Contact Form 7',
+			detect: ( form ) => form.classList.contains( 'wpcf7-form' ) || !!form.closest( '.wpcf7' ),
+			event: 'wpcf7mailsent',
+			eventTarget: 'document',
+			getSubmission: ( event ) => {
+				// Older versions dispatch on the .wpcf7 wrapper rather than the form.
+				// CF7 resets the form after this event, the submitted values are in
+				// detail.inputs
+				const inputs = event.detail?.inputs;
+				return {
+					form: event.target.closest( 'form' ) || event.target.querySelector( 'form' ),
+					label: '',
+					fieldEntries: Array.isArray( inputs ) ? inputs.map( input => [ input.name, input.value ] ) : null,
+				};
+			},
+		},
+		{
+			name: 'Gravity Forms',
+			// AJAX forms post to a hidden iframe
+			detect: ( form ) => ( form.getAttribute( 'target' ) || '' ).startsWith( 'gform_ajax_frame_' ),
+			event: 'gform_confirmation_loaded',
+			eventTarget: 'jquery',
+			// Form is gone by this point and only its ID is available
+			getSubmission: ( event, formId ) => ( {
+				form: null,
+				formId: `gform_${formId}`,
+				label: '',
+				fieldEntries: null,
+			} ),
+		},
+		{
+			name: 'Formidable Forms',
+			detect: ( form ) => form.classList.contains( 'frm_ajax_submit' ),
+			event: 'frmFormComplete',
+			eventTarget: 'jquery',
+			getSubmission: ( event, /** @type {HTMLFormElement} */ form ) => ( {
+				form,
+				// Best labelling is to set the title, though it's only discoverable
+				// in a screen reader legend inside the form
+				label: form.querySelector( 'legend' )?.textContent?.trim() || '',
+				fieldEntries: null,
+			} ),
+		},
+		{
+			name: 'Ninja Forms',
+			detect: ( form ) => !!form.closest( '.nf-form-cont' ),
+			event: 'nfFormSubmitResponse',
+			eventTarget: 'jquery',
+			getSubmission: ( event, response ) => {
+				const formId = response?.id;
+				const formContainer = formId ? document.querySelector( `#nf-form-${formId}-cont` ) : null;
+				const form = formContainer?.querySelector( 'form' ) || null;
+
+				if ( !form ) {
+					console.error( 'wego-traffic-source: Could not find form element for Ninja Forms AJAX submit.', {
+						response,
+						formId,
+						formContainer
+					} );
+					return null;
+				}
+
+				// Submitted values are in the response, keyed by field ID. The form
+				// may already be cleared, so use these with the field key as name.
+				const fields = Object.values( response?.response?.data?.fields || {} );
+
+				return {
+					form,
+					label: String( response?.response?.data?.settings?.title || '' ),
+					fieldEntries: fields.map( field => [ String( field?.key ?? '' ), field?.value ] ),
+				};
+			},
+		},
+		{
+			name: 'WPForms',
+			detect: ( form ) => form.classList.contains( 'wpforms-ajax-form' ),
+			event: 'wpformsAjaxSubmitSuccess',
+			eventTarget: 'jquery',
+			getSubmission: ( event ) => ( {
+				form: event.target,
+				label: '',
+				fieldEntries: null,
+			} ),
+		},
+		{
+			name: 'Elementor Pro',
+			detect: ( form ) => form.classList.contains( 'elementor-form' ),
+			event: 'submit_success',
+			eventTarget: 'jquery',
+			getSubmission: ( event ) => ( {
+				form: event.target,
+				// The form name set in the Elementor editor
+				label: event.target.getAttribute?.( 'name' ) || '',
+				fieldEntries: null,
+			} ),
+		},
+		{
+			name: 'Fluent Forms',
+			detect: ( form ) => form.classList.contains( 'frm-fluent-form' ),
+			event: 'fluentform_submission_success',
+			eventTarget: 'jquery',
+			getSubmission: ( event ) => ( {
+				form: event.target,
+				label: '',
+				fieldEntries: null,
+			} ),
+		},
+		{
+			name: 'HubSpot',
+			detect: ( form ) => form.classList.contains( 'hs-form' ),
+			event: 'message',
+			eventTarget: 'window',
+			getSubmission: ( event ) => {
+				if ( event.origin !== window.location.origin && !HUBSPOT_ORIGIN_PATTERN.test( event.origin ) ) {
+					return null;
+				}
+				if ( event.data?.type !== 'hsFormCallback' || event.data?.eventName !== 'onFormSubmitted' ) {
+					return null;
+				}
+
+				// Forms embedded in an iframe have no form element on the page, the
+				// iframe that posted the message (inside its .hs-form-frame or
+				// [data-form-id] container) is matched against the selector instead
+				const formGuid = String( event.data.id || '' );
+				const containers = Array.from( document.querySelectorAll( '[data-form-id]' ) )
+					.filter( element => formGuid && element.dataset.formId === formGuid );
+				const form = containers.find( element => element instanceof HTMLFormElement ) || null;
+				const iframe = Array.from( document.querySelectorAll( 'iframe' ) )
+					.find( element => event.source && element.contentWindow === event.source );
+				const values = event.data.data?.submissionValues;
+
+				return {
+					form: form,
+					label: `HubSpot Form ${formGuid}`,
+					fieldEntries: values && typeof values === 'object' ? Object.entries( values ) : null,
+					embed: form ? null : iframe || containers[0] || null,
+				};
+			},
+		},
+	];
+}
+
+/**
+ * Whether a form plugin submits this form with AJAX
+ *
+ * @param {HTMLFormElement} form
+ * @returns {boolean}
+ */
+function isFormPluginAjaxForm( form ) {
+	return getFormPluginAdapters().some( adapter => adapter.detect( form ) );
+}
+
+/**
+ * Run a callback for each successful form plugin submit
+ *
+ * Adapters that need jQuery are skipped when it isn't loaded.
+ *
+ * @param {(submission: WeGoFormPluginSubmission) => void} callback
+ */
+function onFormPluginSubmit( callback ) {
+	const hasJQuery = typeof window.jQuery === 'function';
+
+	for ( const adapter of getFormPluginAdapters() ) {
+		const handleSuccess = ( event, ...args ) => {
+			const submission = adapter.getSubmission( event, ...args );
+			if ( !submission ) {
+				return;
+			}
+			if ( !( submission.form instanceof HTMLFormElement ) ) {
+				submission.form = null;
+			}
+			callback( submission );
+		};
+
+		if ( adapter.eventTarget === 'jquery' ) {
+			if ( hasJQuery ) {
+				window.jQuery( document ).on( adapter.event, handleSuccess );
+			}
+		} else if ( adapter.eventTarget === 'window' ) {
+			window.addEventListener( adapter.event, handleSuccess );
+		} else {
+			document.addEventListener( adapter.event, handleSuccess );
+		}
+	}
+}
+
+/**
+ * Get the Gravity Forms form ID of a form
+ *
+ * @param {HTMLFormElement} form
+ * @returns {string} The numeric form ID, or '' if it's not a Gravity form
+ */
+function getGravityFormId( form ) {
+	return ( form.getAttribute( 'id' ) || '' ).match( /^gform_(\d+)$/ )?.[1] || '';
+}
+
+/**
+ * Get a Gravity form's title, which is only on the page if it's displayed
+ *
+ * @param {string} formId - Numeric form ID
+ * @returns {string}
+ */
+function getGravityFormTitle( formId ) {
+	return (
+		document.querySelector( `#gform_wrapper_${formId} .gform_title` )?.textContent?.trim()
+		|| `Gravity Form ID ${formId}`
+	);
+}
+
+/**
+ * @typedef {Object} WeGoPendingFormSubmission
+ * @property {string} slug - Tracked event slug
+ * @property {string} formId - ID of the submitted form element, empty if it has none
+ * @property {string} formFingerprint - Action, name and position of a form without an ID, empty if it has one
+ * @property {string} primaryValue - Primary value to send once confirmed
+ * @property {Object<string, string>|null} eventSourceData - Recorded field values, already redacted
+ * @property {string} pagePath - Route of the page the form was submitted on, sent as page_url
+ * @property {number} [expiresAt] - Timestamp after which the submit is no longer confirmed
+ */
+
+/**
+ * Remember a full page form submit until the next page load confirms it
+ *
+ * Like the traffic source, nothing is stored without consent.
+ *
+ * @param {WeGoPendingFormSubmission} submission
+ */
+function recordPendingFormSubmission( submission ) {
+	if ( !hasConsent ) {
+		return;
+	}
+
+	// The next page may not be in debug mode, which would send it for real
+	if ( debugMode?.dryRun ) {
+		console.info( `wego-traffic-source: Dry run, "${submission.slug}" would be sent if the next page doesn't show the form again`, submission );
+		return;
+	}
+
+	const pending = readPendingFormSubmissions()
+		.filter( p => p.slug !== submission.slug || p.formId !== submission.formId || p.formFingerprint !== submission.formFingerprint );
+	pending.push( { ...submission, expiresAt: Date.now() + PENDING_FORM_SUBMISSION_TTL_MS } );
+
+	try {
+		sessionStorage.setItem( STORAGE_KEY_PENDING_FORM_SUBMISSIONS, JSON.stringify( pending ) );
+	} catch {
+		// Storage full or unavailable, the submit goes untracked
+	}
+}
+
+/**
+ * Remove and return a tracked event's pending form submits
+ *
+ * Each is confirmed or discarded on the first page load after the submit.
+ *
+ * @param {string} slug - Tracked event slug
+ * @returns {WeGoPendingFormSubmission[]}
+ */
+function takePendingFormSubmissions( slug ) {
+	const pending = readPendingFormSubmissions();
+	const taken = pending.filter( p => p.slug === slug );
+
+	if ( taken.length ) {
+		try {
+			sessionStorage.setItem(
+				STORAGE_KEY_PENDING_FORM_SUBMISSIONS,
+				JSON.stringify( pending.filter( p => p.slug !== slug ) )
+			);
+		} catch {
+			// Storage unavailable, nothing was stored then
+		}
+	}
+
+	return taken;
+}
+
+/**
+ * Read unexpired pending form submits, discarding malformed ones
+ *
+ * @returns {WeGoPendingFormSubmission[]}
+ */
+function readPendingFormSubmissions() {
+	let stored;
+	try {
+		stored = JSON.parse( sessionStorage.getItem( STORAGE_KEY_PENDING_FORM_SUBMISSIONS ) || '[]' );
+	} catch {
+		// Storage unavailable or corrupt, start over
+		stored = [];
+	}
+
+	const now = Date.now();
+	return ( Array.isArray( stored ) ? stored : [] ).filter( p => (
+		p
+		&& typeof p.slug === 'string'
+		&& typeof p.formId === 'string'
+		&& typeof p.formFingerprint === 'string'
+		&& typeof p.primaryValue === 'string'
+		&& typeof p.pagePath === 'string'
+		&& p.expiresAt > now
+	) );
+}
+
+/**
+ * Collect the values of allowlisted fields, with personal data redacted
+ *
+ * Names are compared case-insensitively and a trailing "[]" is ignored, so
+ * "services" matches a "services[]" checkbox group. Multiple values for one
+ * name are joined with a comma.
+ *
+ * @param {Array<[string, any]>} fieldEntries - Submitted name/value pairs
+ * @param {string[]} allowlist - Field names to record
+ * @returns {Object<string, string>|null} Values keyed by field name, or null if there are none
+ */
+function collectFormFieldValues( fieldEntries, allowlist ) {
+	if ( !allowlist.length ) {
+		return null;
+	}
+
+	const normalizeName = ( name ) => String( name ).trim().replace( /\[\]$/, '' ).toLowerCase();
+	const allowed = new Set( allowlist.map( normalizeName ) );
+
+	const values = {};
+	for ( const [ name, value ] of fieldEntries ) {
+		const key = normalizeName( name );
+
+		// Files and empty values are never recorded
+		if ( !allowed.has( key ) || ![ 'string', 'number', 'boolean' ].includes( typeof value ) || String( value ).trim() === '' ) {
+			continue;
+		}
+
+		const redacted = redactPersonalData( String( value ).trim() ).substring( 0, FORM_FIELD_VALUE_MAX_LENGTH );
+		values[ key ] = values[ key ] ? `${values[ key ]}, ${redacted}` : redacted;
+	}
+
+	return Object.keys( values ).length ? values : null;
+}
+
+/**
+ * Replace emails, card numbers and phone numbers in a value
+ *
+ * Every run of 7 or more digits allowing common separators is redacted. The
+ * Luhn check only picks the label: runs that pass it, or are too long for a
+ * phone number, are labelled as cards so mistyped card numbers are redacted
+ * too. Runs over 19 digits are several numbers run together (two phone
+ * numbers in one field). ISO dates are left alone.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+function redactPersonalData( value ) {
+	return value
+		.replace( /[^\s@<>()[\],;:"]+@[^\s@<>()[\],;:"]+\.[a-z]{2,}/gi, '[redacted email]' )
+		.replace( /\+?\d(?:[\s().-]*\d){6,}/g, ( match ) => {
+			const digits = match.replace( /\D/g, '' );
+
+			if ( /^\d{4}-\d{2}-\d{2}$/.test( match ) ) {
+				return match;
+			}
+			if ( digits.length > 19 ) {
+				return '[redacted number]';
+			}
+			if ( digits.length > 15 || ( digits.length >= 13 && passesLuhnCheck( digits ) ) ) {
+				return '[redacted card]';
+			}
+			return '[redacted phone]';
+		} );
+}
+
+/**
+ * Check a digit string against the Luhn checksum used by card numbers
+ *
+ * @param {string} digits
+ * @returns {boolean}
+ */
+function passesLuhnCheck( digits ) {
+	let sum = 0;
+	for ( let i = 0; i < digits.length; i++ ) {
+		let digit = Number( digits[ digits.length - 1 - i ] );
+		if ( i % 2 === 1 ) {
+			digit *= 2;
+			if ( digit > 9 ) {
+				digit -= 9;
+			}
+		}
+		sum += digit;
+	}
+	return sum % 10 === 0;
+}
+
+/**
+ * Set up tracking for form engagement: started and abandoned forms
+ *
+ * A form is started by the first input or change in one of its fields and
+ * abandoned when the page is hidden (or the form is removed by a route
+ * change) before a submit event. Only field names and a count of completed
+ * fields are sent, never values.
+ *
+ * @param {WeGoTrackedEvent} trackedEvent - The form engagement tracked event configuration
+ * @param {string} endpoint - The REST API endpoint URL
+ */
+function setupFormEngagementTracking( trackedEvent, endpoint ) {
+	/** @type {Map<HTMLFormElement, {lastField: string, submitted: boolean}>} Forms started this page view */
+	const startedForms = new Map();
+
+	// Registered now, before event batching adds its own pagehide flush, so
+	// abandoned events are buffered in time to go out with it
+	window.addEventListener( 'pagehide', () => {
+		for ( const form of Array.from( startedForms.keys() ) ) {
+			reportAbandoned( form );
+		}
+	} );
+
+	// Forms removed by a route change were left, forms still on the page
+	// carry over into the new page view
+	onRouteChange( () => {
+		for ( const form of Array.from( startedForms.keys() ) ) {
+			if ( !form.isConnected ) {
+				reportAbandoned( form );
+			}
+		}
+	} );
+
+	watchSelector( trackedEvent.eventSource.selector, trackedEvent.slug, attachListeners, { once: true } );
+
+	/**
+	 * Attach the field interaction and submit listeners
+	 */
+	function attachListeners() {
+		document.addEventListener( 'input', handleFieldInteraction, true );
+		document.addEventListener( 'change', handleFieldInteraction, true );
+
+		document.addEventListener( 'submit', ( e ) => {
+			const form = validateClosest( e.target, trackedEvent.eventSource.selector, trackedEvent.slug );
+			if ( !form || !startedForms.has( form ) ) {
+				return;
+			}
+
+			// A cancelled or invalid submit leaves the form open to abandonment
+			setTimeout( () => {
+				if ( !e.defaultPrevented && form.checkValidity() && startedForms.has( form ) ) {
+					startedForms.get( form ).submitted = true;
+				}
+			}, 0 );
+		}, true );
+
+		// AJAX form plugins may never fire a native submit
+		onFormPluginSubmit( ( { form } ) => {
+			if ( form && startedForms.has( form ) ) {
+				startedForms.get( form ).submitted = true;
+			}
+		} );
+	}
+
+	/**
+	 * @param {Event} e
+	 */
+	function handleFieldInteraction( e ) {
+		const field = e.target;
+		if ( !( field instanceof HTMLInputElement || field instanceof HTMLSelectElement || field instanceof HTMLTextAreaElement ) ) {
+			return;
+		}
+
+		// Fields can belong to a form they're not inside of via the form attribute
+		const form = validateClosest( field.form || field, trackedEvent.eventSource.selector, trackedEvent.slug );
+		if ( !( form instanceof HTMLFormElement ) ) {
+			return;
+		}
+
+		const fieldName = getFormFieldName( field );
+
+		if ( startedForms.has( form ) ) {
+			startedForms.get( form ).lastField = fieldName;
+			return;
+		}
+
+		startedForms.set( form, { lastField: fieldName, submitted: false } );
+		sendEngagementEvent( form, 'Started', fieldName );
+	}
+
+	/**
+	 * Send an Abandoned event if the form wasn't submitted, and forget it
+	 *
+	 * @param {HTMLFormElement} form
+	 */
+	function reportAbandoned( form ) {
+		const { lastField, submitted } = startedForms.get( form );
+		startedForms.delete( form );
+
+		if ( !submitted ) {
+			sendEngagementEvent( form, 'Abandoned', lastField );
+		}
+	}
+
+	/**
+	 * @param {HTMLFormElement} form
+	 * @param {string} state - Display-ready engagement state
+	 * @param {string} lastField - Name of the last field interacted with
+	 */
+	function sendEngagementEvent( form, state, lastField ) {
+		const formLabel = getElementLabel( form ) || 'Unknown form';
+
+		sendEventBeacon( endpoint, trackedEvent.slug, `${formLabel}: ${state}`, {
+			state: state,
+			last_field: lastField,
+			completed_fields: countCompletedFormFields( form ),
+		} );
+	}
+}
+
+/**
+ * Get a field's name for reporting, falling back to its ID or label
+ *
+ * @param {HTMLInputElement|HTMLSelectElement|HTMLTextAreaElement} field
+ * @returns {string}
+ */
+function getFormFieldName( field ) {
+	return (
+		field.name.replace( /\[\]$/, '' )
+		|| field.id
+		|| field.getAttribute( 'aria-label' )
+		|| field.type
+	);
+}
+
+/**
+ * Count the visible fields of a form that have a value
+ *
+ * Checkbox and radio groups count once per name, hidden, disabled and button
+ * fields are skipped.
+ *
+ * @param {HTMLFormElement} form
+ * @returns {number}
+ */
+function countCompletedFormFields( form ) {
+	const ignoredTypes = [ 'hidden', 'submit', 'button', 'reset', 'image' ];
+	const completed = new Set();
+
+	for ( const field of Array.from( form.elements ) ) {
+		if ( !( field instanceof HTMLInputElement || field instanceof HTMLSelectElement || field instanceof HTMLTextAreaElement ) ) {
+			continue;
+		}
+		if ( field.disabled || ignoredTypes.includes( field.type ) ) {
+			continue;
+		}
+
+		let isComplete = field.value.trim() !== '';
+		if ( field.type === 'checkbox' || field.type === 'radio' ) {
+			isComplete = field.checked;
+		} else if ( field.type === 'file' ) {
+			isComplete = !!field.files?.length;
+		}
+
+		if ( isComplete ) {
+			completed.add( field.name || field );
+		}
+	}
+
+	return completed.size;
+}
+
+// ========== Podium Widget Events ==========
+
+/**
+ * Set up tracking for Podium widget events
+ *
+ * @param {WeGoTrackedEvent} trackedEvent - The Podium tracked event configuration
+ * @param {string} endpoint - The REST API endpoint URL
+ */
+function setupPodiumEventTracking( trackedEvent, endpoint ) {
+	// Validate that we have events to track
+	if ( !trackedEvent.eventSource.events || !Array.isArray( trackedEvent.eventSource.events ) ) {
+		return;
+	}
+
+	// Podium calls a single global function with the event name and properties
+	chainCallbackProperty( window, 'PodiumEventsCallback', ( eventName, properties ) => {
+		if ( trackedEvent.eventSource.events.includes( eventName ) ) {
+			// The Podium event name is display-ready for the primary value
+			sendEventBeacon( endpoint, trackedEvent.slug, eventName, getPodiumEventData( properties ) );
+		}
+	} );
+}
+
+/**
+ * Pick the identifiers out of Podium event properties
+ *
+ * Only scalar values with an ID key (conversationUid, locationId,
+ * organization_id...) are kept, so message text and contact details are
+ * never sent. Keys are converted to snake_case.
+ *
+ * @param {any} properties - Event properties from Podium
+ * @returns {Object<string, string|number>|null}
+ */
+function getPodiumEventData( properties ) {
+	if ( !properties || typeof properties !== 'object' ) {
+		return null;
+	}
+
+	const data = {};
+	for ( const [ key, value ] of Object.entries( properties ) ) {
+		const isIdKey = /(^|_)u?id$/i.test( key ) || /[a-z0-9](Id|ID|Uid|UID)$/.test( key );
+		if ( !isIdKey || ![ 'string', 'number' ].includes( typeof value ) || String( value ) === '' ) {
+			continue;
+		}
+
+		data[ key.replace( /([a-z0-9])([A-Z])/g, '$1_$2' ).toLowerCase() ] = value;
+	}
+
+	return Object.keys( data ).length ? data : null;
+}
+
+/**
+ * Run a handler when a vendor calls one of its global callback properties
+ * (PodiumEventsCallback, Tawk_API.onChatStarted...)
+ *
+ * Vendors call a single function, so callbacks other scripts set, before or
+ * after this, are chained rather than replaced. Calling this again for the
+ * same property wraps the previous chain.
+ *
+ * @param {Object} owner - Object the vendor reads the callback from
+ * @param {string} property - Callback property name
+ * @param {(...args: any[]) => void} handler
+ */
+function chainCallbackProperty( owner, property, handler ) {
+	/** @type {Function[]} */
+	const otherCallbacks = [];
+	if ( typeof owner[ property ] === 'function' ) {
+		otherCallbacks.push( owner[ property ] );
+	}
+
+	const chainedCallback = function( ...args ) {
+		handler( ...args );
+
+		for ( const callback of otherCallbacks ) {
+			try {
+				callback.apply( this, args );
+			} catch ( error ) {
+				console.error( `wego-traffic-source: Another script's ${property} callback failed`, error );
+			}
+		}
+	};
+
+	try {
+		Object.defineProperty( owner, property, {
+			configurable: true,
+			enumerable: true,
+			get: () => chainedCallback,
+			// Callbacks assigned later are chained instead of replacing ours
+			set: ( callback ) => {
+				if ( typeof callback === 'function' && callback !== chainedCallback && !otherCallbacks.includes( callback ) ) {
+					otherCallbacks.push( callback );
+				}
+			},
+		} );
+	} catch {
+		// Another script locked the property, fall back to replacing it
+		owner[ property ] = chainedCallback;
+	}
+}
+
+// ========== Chat Widgets ==========
+
+/**
+ * Set up tracking for Intercom Messenger events
+ *
+ * @param {WeGoTrackedEvent} trackedEvent - The Intercom tracked event configuration
+ * @param {string} endpoint - The REST API endpoint URL
+ */
+function setupIntercomEventTracking( trackedEvent, endpoint ) {
+	const events = trackedEvent.eventSource.events;
+	if ( !Array.isArray( events ) ) {
+		return;
+	}
+
+	// Map Intercom callback methods to display-ready event names (matching PHP canonical values)
+	const eventMap = {
+		onShow: 'Messenger Opened',
+		onHide: 'Messenger Closed',
+		onUserEmailSupplied: 'Email Supplied',
+	};
+
+	// The Intercom snippet defines a stub that queues calls until the
+	// messenger has loaded
+	whenGlobalDefined( 'Intercom', ( Intercom ) => {
+		for ( const [ method, eventName ] of Object.entries( eventMap ) ) {
+			if ( events.includes( eventName ) ) {
+				Intercom( method, () => sendEventBeacon( endpoint, trackedEvent.slug, eventName ) );
+			}
+		}
+	} );
+}
+
+/**
+ * Set up tracking for Drift chat events
+ *
+ * @param {WeGoTrackedEvent} trackedEvent - The Drift tracked event configuration
+ * @param {string} endpoint - The REST API endpoint URL
+ */
+function setupDriftEventTracking( trackedEvent, endpoint ) {
+	const events = trackedEvent.eventSource.events;
+	if ( !Array.isArray( events ) ) {
+		return;
+	}
+
+	// Map Drift events to display-ready event names (matching PHP canonical values)
+	const eventMap = {
+		chatOpen: 'Chat Opened',
+		chatClose: 'Chat Closed',
+		startConversation: 'Conversation Started',
+		emailCapture: 'Email Captured',
+		'scheduling:meetingBooked': 'Meeting Booked',
+	};
+
+	// The Drift snippet defines a stub that queues drift.on() until the widget
+	// has loaded
+	whenGlobalDefined( 'drift', ( drift ) => {
+		for ( const [ driftEvent, eventName ] of Object.entries( eventMap ) ) {
+			if ( events.includes( eventName ) ) {
+				drift.on( driftEvent, ( data ) => {
+					sendEventBeacon( endpoint, trackedEvent.slug, eventName, getChatConversationData( data?.conversationId ) );
+				} );
+			}
+		}
+	} );
+}
+
+/**
+ * Set up tracking for Tawk.to chat events
+ *
+ * @param {WeGoTrackedEvent} trackedEvent - The Tawk.to tracked event configuration
+ * @param {string} endpoint - The REST API endpoint URL
+ */
+function setupTawkToEventTracking( trackedEvent, endpoint ) {
+	const events = trackedEvent.eventSource.events;
+	if ( !Array.isArray( events ) ) {
+		return;
+	}
+
+	// Map Tawk_API callbacks to display-ready event names (matching PHP canonical values)
+	const eventMap = {
+		onChatMaximized: 'Chat Opened',
+		onChatStarted: 'Chat Started',
+		onChatEnded: 'Chat Ended',
+		onPrechatSubmit: 'Pre-Chat Form Submitted',
+		onOfflineSubmit: 'Offline Form Submitted',
+	};
+
+	// Tawk.to reads its callbacks from Tawk_API, which its embed code keeps if
+	// it already exists
+	window.Tawk_API = window.Tawk_API || {};
+
+	for ( const [ callbackName, eventName ] of Object.entries( eventMap ) ) {
+		if ( events.includes( eventName ) ) {
+			chainCallbackProperty( window.Tawk_API, callbackName, ( data ) => {
+				sendEventBeacon( endpoint, trackedEvent.slug, eventName, getChatConversationData( data?.chatId ) );
+			} );
+		}
+	}
+}
+
+/**
+ * Set up tracking for LiveChat widget events
+ *
+ * @param {WeGoTrackedEvent} trackedEvent - The LiveChat tracked event configuration
+ * @param {string} endpoint - The REST API endpoint URL
+ */
+function setupLiveChatEventTracking( trackedEvent, endpoint ) {
+	const events = trackedEvent.eventSource.events;
+	if ( !Array.isArray( events ) ) {
+		return;
+	}
+
+	// Map LiveChat form types to display-ready event names (matching PHP canonical values)
+	const formEventMap = {
+		prechat: 'Pre-Chat Form Submitted',
+		ticket: 'Ticket Form Submitted',
+	};
+
+	const send = ( eventName ) => sendEventBeacon( endpoint, trackedEvent.slug, eventName );
+
+	// The LiveChat snippet defines a stub that queues calls until the widget
+	// has loaded
+	whenGlobalDefined( 'LiveChatWidget', ( LiveChatWidget ) => {
+		if ( events.includes( 'Chat Opened' ) ) {
+			LiveChatWidget.on( 'visibility_changed', ( data ) => {
+				if ( data?.visibility === 'maximized' ) {
+					send( 'Chat Opened' );
+				}
+			} );
+		}
+
+		if ( events.includes( 'Chat Started' ) ) {
+			LiveChatWidget.on( 'customer_status_changed', ( data ) => {
+				if ( data?.status === 'chatting' ) {
+					send( 'Chat Started' );
+				}
+			} );
+		}
+
+		LiveChatWidget.on( 'form_submitted', ( data ) => {
+			const eventName = formEventMap[ data?.type ];
+			if ( eventName && events.includes( eventName ) ) {
+				send( eventName );
+			}
+		} );
+	} );
+}
+
+/**
+ * Set up tracking for HubSpot chat (conversations widget) events
+ *
+ * @param {WeGoTrackedEvent} trackedEvent - The HubSpot chat tracked event configuration
+ * @param {string} endpoint - The REST API endpoint URL
+ */
+function setupHubSpotChatEventTracking( trackedEvent, endpoint ) {
+	const events = trackedEvent.eventSource.events;
+	if ( !Array.isArray( events ) ) {
+		return;
+	}
+
+	// Map HubSpotConversations events to display-ready event names (matching PHP canonical values)
+	const eventMap = {
+		userInteractedWithWidget: 'Widget Interacted',
+		conversationStarted: 'Conversation Started',
+		conversationClosed: 'Conversation Closed',
+		widgetClosed: 'Widget Closed',
+	};
+
+	function attachListeners() {
+		for ( const [ hubspotEvent, eventName ] of Object.entries( eventMap ) ) {
+			if ( events.includes( eventName ) ) {
+				window.HubSpotConversations.on( hubspotEvent, ( payload ) => {
+					sendEventBeacon( endpoint, trackedEvent.slug, eventName, getChatConversationData( payload?.conversation?.conversationId ) );
+				} );
+			}
+		}
+	}
+
+	// HubSpot runs the hsConversationsOnReady callbacks once the widget API
+	// has loaded
+	if ( window.HubSpotConversations ) {
+		attachListeners();
+	} else {
+		window.hsConversationsOnReady = window.hsConversationsOnReady || [];
+		window.hsConversationsOnReady.push( attachListeners );
+	}
+}
+
+/**
+ * Build event_source_data for a chat vendor's conversation ID
+ *
+ * @param {any} conversationId
+ * @returns {{conversation_id: string}|null}
+ */
+function getChatConversationData( conversationId ) {
+	if ( ![ 'string', 'number' ].includes( typeof conversationId ) || conversationId === '' ) {
+		return null;
+	}
+
+	return { conversation_id: String( conversationId ) };
+}
+
+/**
+ * Run a callback with a vendor global once it's defined, now or when its
+ * snippet runs later (lazy loaded or delayed scripts)
+ *
+ * @param {string} name - Global variable name
+ * @param {(value: any) => void} callback
+ */
+function whenGlobalDefined( name, callback ) {
+	if ( window[ name ] ) {
+		callback( window[ name ] );
+		return;
+	}
+
+	if ( globalDefinedCallbacks.has( name ) ) {
+		globalDefinedCallbacks.get( name ).push( callback );
+		return;
+	}
+
+	const callbacks = [ callback ];
+	globalDefinedCallbacks.set( name, callbacks );
+
+	try {
+		Object.defineProperty( window, name, {
+			configurable: true,
+			enumerable: true,
+			get: () => undefined,
+			set: ( value ) => {
+				// Back to a plain property, so the loaded script can replace its stub
+				Object.defineProperty( window, name, { value, writable: true, configurable: true, enumerable: true } );
+				globalDefinedCallbacks.delete( name );
+
+				// Snippets may finish setting up their stub after assigning it
+				setTimeout( () => {
+					for ( const definedCallback of callbacks ) {
+						definedCallback( value );
+					}
+				}, 0 );
+			},
+		} );
+	} catch {
+		globalDefinedCallbacks.delete( name );
+		console.warn( `wego-traffic-source: Can't watch for ${name} to load, its events won't be tracked` );
+	}
+}
+
+// ========== Scheduling Embeds ==========
+
+/**
+ * Set up tracking for Calendly embed events
+ *
+ * Inline, popup and badge embeds all report to the page with postMessage.
+ * The scheduled event and invitee are only sent as API URIs, which aren't
+ * recorded.
+ *
+ * @param {WeGoTrackedEvent} trackedEvent - The Calendly tracked event configuration
+ * @param {string} endpoint - The REST API endpoint URL
+ */
+function setupCalendlyEventTracking( trackedEvent, endpoint ) {
+	const events = trackedEvent.eventSource.events;
+	if ( !Array.isArray( events ) ) {
+		return;
+	}
+
+	const CALENDLY_ORIGIN = 'https://calendly.com';
+
+	// Map Calendly embed events to display-ready event names (matching PHP canonical values)
+	const eventMap = {
+		'calendly.date_and_time_selected': 'Date and Time Selected',
+		'calendly.event_scheduled': 'Event Scheduled',
+	};
+
+	window.addEventListener( 'message', ( e ) => {
+		if ( e.origin !== CALENDLY_ORIGIN || typeof e.data !== 'object' || e.data === null ) {
+			return;
+		}
+
+		const eventName = eventMap[ e.data.event ];
+		if ( !eventName || !events.includes( eventName ) ) {
+			return;
+		}
+
+		sendEventBeacon( endpoint, trackedEvent.slug, eventName, getCalendlyEventData( /** @type {Window} */ ( e.source ) ) );
+	} );
+}
+
+/**
+ * Build event_source_data for a Calendly embed
+ *
+ * The event type comes from the URL of the embed that sent the message, the
+ * timezone from the browser, which is what Calendly's booking page shows
+ * times in unless the visitor changes it.
+ *
+ * @param {Window|null} source - Window the message came from
+ * @returns {{event_type?: string, timezone?: string}|null}
+ */
+function getCalendlyEventData( source ) {
+	/** @type {{event_type?: string, timezone?: string}} */
+	const data = {};
+
+	const iframe = Array.from( document.querySelectorAll( 'iframe' ) ).find( ( frame ) => frame.contentWindow === source );
+	if ( iframe ) {
+		try {
+			// Scheduling links are calendly.com/<user or team>/<event type>
+			const eventType = new URL( iframe.src ).pathname.split( '/' ).filter( Boolean )[1];
+			if ( eventType ) {
+				data.event_type = decodeURIComponent( eventType );
+			}
+		} catch {
+			// Not a URL we can read the event type from
+		}
+	}
+
+	const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+	if ( timezone ) {
+		data.timezone = timezone;
+	}
+
+	return Object.keys( data ).length > 0 ? data : null;
+}
+
+// ========== YouTube ==========
+
+/**
+ * Set up tracking for YouTube video events
+ *
+ * @param {WeGoTrackedEvent} trackedEvent - The YouTube tracked event configuration
+ * @param {string} endpoint - The REST API endpoint URL
+ */
+function setupYouTubeEventTracking( trackedEvent, endpoint ) {
+	const states = Array.isArray( trackedEvent.eventSource.states ) ? trackedEvent.eventSource.states : [];
+	const milestones = Array.isArray( trackedEvent.eventSource.milestones )
+		? trackedEvent.eventSource.milestones.map( Number ).filter( m => m > 0 && m < 100 ).sort( ( a, b ) => a - b )
+		: [];
+
+	// Validate that we have states or milestones to track
+	if ( !states.length && !milestones.length ) {
+		return;
+	}
+
+	const STATE_PROGRESS = 'Progress';
+	const PROGRESS_POLL_INTERVAL_MS = 1000;
+
+	// YouTube player state constants
+	const YT_STATE_ENDED = 0;
+	const YT_STATE_PLAYING = 1;
+	const YT_STATE_PAUSED = 2;
+	const YT_STATE_BUFFERING = 3;
+
+	// Map state numbers to display-ready state names (matching PHP canonical values)
+	const stateMap = {
+		[YT_STATE_PLAYING]: 'Playing',
+		[YT_STATE_PAUSED]: 'Paused',
+		[YT_STATE_ENDED]: 'Ended',
+		[YT_STATE_BUFFERING]: 'Buffering',
+	};
+
+	const YT_API_SRC = 'https://www.youtube.com/iframe_api';
+
+	// Iframes found before the API finished loading
+	const pendingIframes = [];
+	let apiRequested = false;
+
+	// Look for iframes that match the selector, now and as they're added to
+	// the page (lazy-loaded embeds). The loading process only starts once
+	// there are targets.
+	watchSelector( trackedEvent.eventSource.selector, trackedEvent.slug, loadYouTubeAPI );
+
+	/**
+	 * Load YouTube IFrame API if not already loaded
+	 */
+	function loadYouTubeAPI( iframes ) {
+		// Check if API is already loaded
+		if ( typeof window.YT !== 'undefined' && typeof window.YT.Player === 'function' ) {
+			initializePlayers( iframes ) ;
+			return;
+		}
+
+		pendingIframes.push( ...iframes );
+		if ( apiRequested ) {
+			return;
+		}
+		apiRequested = true;
+
+		// Set up callback for when API loads, chaining any existing callback
+		// (another tracked event or the theme may be waiting on the API too)
+		const previousCallback = window.onYouTubeIframeAPIReady;
+		window.onYouTubeIframeAPIReady = function() {
+			if ( typeof previousCallback === 'function' ) {
+				previousCallback();
+			}
+			initializePlayers( pendingIframes.splice( 0 ) );
+		};
+
+		// Inject YouTube IFrame API script
+		if ( document.querySelector( `script[src="${YT_API_SRC}"]` ) ) {
+			return;
+		}
+		const tag = document.createElement( 'script' );
+		tag.src = YT_API_SRC;
+		const firstScriptTag = document.getElementsByTagName( 'script' )[0];
+		firstScriptTag.parentNode.insertBefore( tag, firstScriptTag );
+	}
+
+	/**
+	 * Initialize YouTube players after API is ready
+	 */
+	function initializePlayers( iframes ) {
+		for ( const iframe of iframes ) {
+			// Skip if already initialized
+			if ( iframe.dataset.wegoYtInitialized ) {
+				continue;
+			}
+
+			// Mark as initialized
+			iframe.dataset.wegoYtInitialized = 'true';
+
+			// Ensure iframe has enablejsapi=1 parameter
+			if ( iframe.src && ! iframe.src.includes( 'enablejsapi=1' ) ) {
+				const url = new URL( iframe.src );
+				url.searchParams.set( 'enablejsapi', '1' );
+				iframe.src = url.toString();
+			}
+
+			// Ensure iframe has an ID for the YT.Player API
+			if ( ! iframe.id ) {
+				iframe.id = 'wego-yt-' + Math.random().toString( 36 ).substring( 2, 11 );
+			}
+
+			// Milestones fire once per video, tracked per player
+			const progress = {
+				videoId: '',
+				pendingMilestones: [ ...milestones ],
+				pollTimer: null,
+			};
+
+			// Create YT.Player instance
+			new window.YT.Player( iframe.id, {
+				events: {
+					onStateChange: ( event ) => {
+						const player = event.target;
+
+						// Playlists and loadVideoById() play another video in the same player
+						const videoId = player.getVideoData()?.video_id || '';
+						if ( videoId !== progress.videoId ) {
+							progress.videoId = videoId;
+							progress.pendingMilestones = [ ...milestones ];
+						}
+
+						// The API has no progress event, poll the position while playing
+						if ( event.data === YT_STATE_PLAYING ) {
+							startProgressPolling( player, progress );
+						} else {
+							stopProgressPolling( progress );
+						}
+
+						const stateKey = stateMap[ event.data ];
+
+						// Only track if this state is configured
+						if ( !stateKey || !states.includes( stateKey ) ) {
+							return;
+						}
+
+						sendVideoEvent( player, stateKey );
+					}
+				}
+			} );
+		}
+	}
+
+	/**
+	 * Poll a playing video for progress milestones
+	 */
+	function startProgressPolling( player, progress ) {
+		if ( !progress.pendingMilestones.length || progress.pollTimer !== null ) {
+			return;
+		}
+
+		progress.pollTimer = setInterval( () => {
+			const duration = player.getDuration();
+			const currentTime = player.getCurrentTime();
+			if ( typeof duration !== 'number' || duration <= 0 || typeof currentTime !== 'number' ) {
+				return;
+			}
+
+			const percentWatched = ( currentTime / duration ) * 100;
+			while ( progress.pendingMilestones.length && percentWatched >= progress.pendingMilestones[0] ) {
+				sendVideoEvent( player, STATE_PROGRESS, progress.pendingMilestones.shift() );
+			}
+
+			if ( !progress.pendingMilestones.length ) {
+				stopProgressPolling( progress );
+			}
+		}, PROGRESS_POLL_INTERVAL_MS );
+	}
+
+	/**
+	 * Stop polling, e.g. when the video is paused, buffering or ended
+	 */
+	function stopProgressPolling( progress ) {
+		if ( progress.pollTimer !== null ) {
+			clearInterval( progress.pollTimer );
+			progress.pollTimer = null;
+		}
+	}
+
+	/**
+	 * Build and send the event for a state change or milestone
+	 *
+	 * @param {any} player - The YT.Player instance
+	 * @param {string} stateKey - Display-ready state name
+	 * @param {number|null} milestone - Percent watched, for progress events
+	 */
+	function sendVideoEvent( player, stateKey, milestone = null ) {
+		// Get video information
+		const videoData = player.getVideoData();
+		const videoId = videoData.video_id || '';
+		const videoTitle = videoData.title || 'Unknown Video';
+		const videoUrl = videoId ? `https://www.youtube.com/watch?v=${videoId}` : '';
+		const currentTime = typeof player.getCurrentTime() === 'number' ? player.getCurrentTime() : 0;
+
+		// Build event_source_data object
+		const eventSourceData = {
+			video_id: videoId,
+			video_title: videoTitle,
+			video_url: videoUrl,
+			state_change: stateKey,
+			current_time: currentTime
+		};
+
+		let stateLabel = stateKey;
+		if ( milestone !== null ) {
+			eventSourceData.milestone = milestone;
+			stateLabel = `${stateKey} ${milestone}%`;
+		}
+
+		// Primary value: video title, state change, and formatted current time
+		const primaryValue = `${videoTitle}: ${stateLabel} (${formatMediaTime( currentTime )})`;
+
+		sendEventBeacon( endpoint, trackedEvent.slug, primaryValue, eventSourceData );
+	}
+
+}
+
+// ========== HTML5 Video/Audio ==========
+
+/**
+ * Set up tracking for native <video> and <audio> element events
+ *
+ * Media events don't bubble, so they're captured at the document level.
+ *
+ * @param {WeGoTrackedEvent} trackedEvent - The HTML5 media tracked event configuration
+ * @param {string} endpoint - The REST API endpoint URL
+ */
+function setupHTML5MediaEventTracking( trackedEvent, endpoint ) {
+	// Validate that we have states to track
+	if ( !trackedEvent.eventSource.states || !Array.isArray( trackedEvent.eventSource.states ) ) {
+		return;
+	}
+
+	// Map media element events to display-ready state names (matching PHP canonical values)
+	const stateMap = {
+		play: 'Playing',
+		pause: 'Paused',
+		ended: 'Ended',
+		seeked: 'Seeked',
+	};
+
+	// Start listening once there are media elements matching the selector,
+	// now or when they're added to the page later
+	watchSelector( trackedEvent.eventSource.selector, trackedEvent.slug, attachListeners, { once: true } );
+
+	function attachListeners() {
+		for ( const [ eventName, stateKey ] of Object.entries( stateMap ) ) {
+			if ( !trackedEvent.eventSource.states.includes( stateKey ) ) {
+				continue;
+			}
+
+			document.addEventListener( eventName, ( e ) => {
+				const media = e.target;
+				if ( !( media instanceof HTMLMediaElement ) ) {
+					return;
+				}
+				if ( !validateClosest( media, trackedEvent.eventSource.selector, trackedEvent.slug ) ) {
+					return;
+				}
+				// Browsers fire pause immediately before ended, only report the end
+				if ( eventName === 'pause' && media.ended ) {
+					return;
+				}
+
+				handleMediaStateChange( media, stateKey );
+			}, true );
+		}
+	}
+
+	/**
+	 * Build and send the event for a media state change
+	 *
+	 * @param {HTMLMediaElement} media
+	 * @param {string} stateKey - Display-ready state name
+	 */
+	function handleMediaStateChange( media, stateKey ) {
+		const mediaSrc = media.currentSrc || media.src || '';
+		const mediaTitle =
+			media.dataset.title
+			|| media.dataset.wegoTitle
+			|| media.getAttribute( 'aria-label' )
+			|| media.title
+			|| mediaSrc.split( '/' ).pop().split( '?' )[0]
+			|| 'Unknown Media';
+		const currentTime = Number.isFinite( media.currentTime ) ? media.currentTime : 0;
+		// Live streams report an infinite duration
+		const duration = Number.isFinite( media.duration ) ? media.duration : 0;
+
+		// Build event_source_data object
+		const eventSourceData = {
+			media_src: mediaSrc,
+			media_title: mediaTitle,
+			state_change: stateKey,
+			current_time: currentTime,
+			duration: duration
+		};
+
+		// Primary value: media title, state change, and formatted current time
+		const primaryValue = `${mediaTitle}: ${stateKey} (${formatMediaTime( currentTime )})`;
+
+		sendEventBeacon( endpoint, trackedEvent.slug, primaryValue, eventSourceData );
+	}
+}
+
+/**
+ * Format a media position in seconds as h:mm:ss
+ *
+ * @param {number} time - Position in seconds
+ * @returns {string}
+ */
+function formatMediaTime( time ) {
+	const hours = Math.floor( time / 3600 );
+	const minutes = Math.floor( ( time % 3600 ) / 60 );
+	const seconds = Math.floor( time % 60 );
+	return `${hours}:${minutes.toString().padStart( 2, '0' )}:${seconds.toString().padStart( 2, '0' )}`;
+}
+
+// ========== Vimeo ==========
+
+/**
+ * Set up tracking for Vimeo video events
+ *
+ * Talks to the embedded players directly with Vimeo's postMessage protocol
+ * (the same messages the Vimeo Player SDK sends) instead of loading the SDK.
+ *
+ * @param {WeGoTrackedEvent} trackedEvent - The Vimeo tracked event configuration
+ * @param {string} endpoint - The REST API endpoint URL
+ */
+function setupVimeoEventTracking( trackedEvent, endpoint ) {
+	// Validate that we have states to track
+	if ( !trackedEvent.eventSource.states || !Array.isArray( trackedEvent.eventSource.states ) ) {
+		return;
+	}
+
+	const VIMEO_ORIGIN = 'https://player.vimeo.com';
+	const STATE_PROGRESS = 'Progress';
+	const PROGRESS_MILESTONES = [ 25, 50, 75, 90 ];
+
+	// Map Vimeo player events to display-ready state names (matching PHP canonical values)
+	const stateMap = {
+		play: 'Playing',
+		pause: 'Paused',
+		ended: 'Ended',
+	};
+
+	const states = trackedEvent.eventSource.states;
+
+	/**
+	 * Per-player state keyed by the iframe's window, which is what message events report as their source
+	 *
+	 * @type {Map<Window, {iframe: HTMLIFrameElement, videoId: string, title: string, ready: boolean, pendingMilestones: number[]}>}
+	 */
+	const players = new Map();
+
+	let listening = false;
+
+	// Look for iframes that match the selector, now and as they're added to the page
+	watchSelector( trackedEvent.eventSource.selector, trackedEvent.slug, ( iframes ) => {
+		if ( !listening ) {
+			listening = true;
+			window.addEventListener( 'message', handlePlayerMessage );
+		}
+
+		for ( const iframe of iframes ) {
+			initializePlayer( iframe );
+		}
+	} );
+
+	/**
+	 * Start listening to a Vimeo iframe
+	 *
+	 * @param {Element} iframe
+	 */
+	function initializePlayer( iframe ) {
+		if ( !( iframe instanceof HTMLIFrameElement ) || !iframe.contentWindow || players.has( iframe.contentWindow ) ) {
+			return;
+		}
+
+		const videoId = ( iframe.src.match( /\/video\/(\d+)/ ) || [] )[1] || '';
+
+		players.set( iframe.contentWindow, {
+			iframe,
+			videoId,
+			title: '',
+			ready: false,
+			pendingMilestones: [ ...PROGRESS_MILESTONES ],
+		} );
+
+		// Players that finished loading before we got here have already sent
+		// their ready message; a ping asks them to send it again
+		postToPlayer( iframe, 'ping' );
+	}
+
+	/**
+	 * Handle messages from Vimeo players
+	 *
+	 * @param {MessageEvent} e
+	 */
+	function handlePlayerMessage( e ) {
+		if ( e.origin !== VIMEO_ORIGIN ) {
+			return;
+		}
+
+		const player = players.get( /** @type {Window} */ ( e.source ) );
+		if ( !player ) {
+			return;
+		}
+
+		let message = e.data;
+		if ( typeof message === 'string' ) {
+			try {
+				message = JSON.parse( message );
+			} catch {
+				return;
+			}
+		}
+		if ( !message || typeof message !== 'object' ) {
+			return;
+		}
+
+		if ( message.event === 'ready' ) {
+			subscribe( player );
+			return;
+		}
+
+		if ( message.method === 'getVideoTitle' && typeof message.value === 'string' ) {
+			player.title = message.value;
+			return;
+		}
+
+		const data = message.data || {};
+
+		if ( message.event === 'timeupdate' ) {
+			handleProgress( player, data );
+			return;
+		}
+
+		const stateKey = stateMap[ message.event ];
+		if ( !stateKey || !states.includes( stateKey ) ) {
+			return;
+		}
+
+		// The player pauses as playback finishes, only report the end
+		if ( message.event === 'pause' && data.percent >= 1 ) {
+			return;
+		}
+
+		sendVimeoEvent( player, stateKey, data.seconds );
+	}
+
+	/**
+	 * Register for the player events we need once the player is ready
+	 */
+	function subscribe( player ) {
+		if ( player.ready ) {
+			return;
+		}
+		player.ready = true;
+
+		for ( const [ eventName, stateKey ] of Object.entries( stateMap ) ) {
+			if ( states.includes( stateKey ) ) {
+				postToPlayer( player.iframe, 'addEventListener', eventName );
+			}
+		}
+
+		if ( states.includes( STATE_PROGRESS ) ) {
+			postToPlayer( player.iframe, 'addEventListener', 'timeupdate' );
+		}
+
+		postToPlayer( player.iframe, 'getVideoTitle' );
+	}
+
+	/**
+	 * Fire any progress milestones reached, once each per video
+	 */
+	function handleProgress( player, data ) {
+		const percentWatched = ( Number( data.percent ) || 0 ) * 100;
+
+		while ( player.pendingMilestones.length && percentWatched >= player.pendingMilestones[0] ) {
+			const milestone = player.pendingMilestones.shift();
+			sendVimeoEvent( player, STATE_PROGRESS, data.seconds, milestone );
+		}
+	}
+
+	/**
+	 * Build and send the event, matching the YouTube event_source_data fields
+	 *
+	 * @param {Object} player - Player state
+	 * @param {string} stateKey - Display-ready state name
+	 * @param {any} seconds - Current playback position reported by the player
+	 * @param {number|null} milestone - Percent watched, for progress events
+	 */
+	function sendVimeoEvent( player, stateKey, seconds, milestone = null ) {
+		const videoTitle = player.title || 'Unknown Video';
+		const currentTime = typeof seconds === 'number' ? seconds : 0;
+
+		// Build event_source_data object
+		const eventSourceData = {
+			video_id: player.videoId,
+			video_title: videoTitle,
+			video_url: player.videoId ? `https://vimeo.com/${player.videoId}` : '',
+			state_change: stateKey,
+			current_time: currentTime
+		};
+
+		let stateLabel = stateKey;
+		if ( milestone !== null ) {
+			eventSourceData.milestone = milestone;
+			stateLabel = `${stateKey} ${milestone}%`;
+		}
+
+		// Primary value: video title, state change, and formatted current time
+		const primaryValue = `${videoTitle}: ${stateLabel} (${formatMediaTime( currentTime )})`;
+
+		sendEventBeacon( endpoint, trackedEvent.slug, primaryValue, eventSourceData );
+	}
+
+	/**
+	 * Send a Player API method call to a Vimeo iframe
+	 *
+	 * @param {HTMLIFrameElement} iframe
+	 * @param {string} method
+	 * @param {any} value
+	 */
+	function postToPlayer( iframe, method, value = undefined ) {
+		const message = value === undefined ? { method } : { method, value };
+		iframe.contentWindow?.postMessage( message, VIMEO_ORIGIN );
+	}
+}
+
+// ========== Scroll Depth ==========
+
+/**
+ * Set up tracking for scroll depth thresholds
+ *
+ * Depth is measured against the whole document, or against a content
+ * container when a selector is configured (how much of the container has
+ * scrolled into view). Each threshold fires at most once per page view.
+ *
+ * @param {WeGoTrackedEvent} trackedEvent - The scroll depth tracked event configuration
+ * @param {string} endpoint - The REST API endpoint URL
+ */
+function setupScrollDepthTracking( trackedEvent, endpoint ) {
+	// Validate that we have thresholds to track
+	if ( !trackedEvent.eventSource.thresholds || !Array.isArray( trackedEvent.eventSource.thresholds ) ) {
+		return;
+	}
+
+	const thresholds = trackedEvent.eventSource.thresholds
+		.map( Number )
+		.filter( threshold => threshold > 0 && threshold <= 100 )
+		.sort( ( a, b ) => a - b );
+
+	let container = null;
+	let pendingThresholds = [];
+	let stopWatchingContainer = () => {};
+	let frameRequested = false;
+
+	startPageView();
+	onRouteChange( startPageView );
+
+	/**
+	 * Reset thresholds and find the container for a new page view
+	 */
+	function startPageView() {
+		window.removeEventListener( 'scroll', onScroll );
+		stopWatchingContainer();
+		pendingThresholds = [ ...thresholds ];
+		container = null;
+
+		if ( trackedEvent.eventSource.selector ) {
+			// Only the first matching container is measured, which may be added
+			// to the page after load
+			stopWatchingContainer = watchSelector( trackedEvent.eventSource.selector, trackedEvent.slug, ( containers ) => {
+				container = containers[0];
+				startMeasuring();
+			}, { once: true } );
+		} else {
+			startMeasuring();
+		}
+	}
+
+	/**
+	 * Listen for scrolling and measure once up front, since pages that fit
+	 * the viewport never scroll and restored pages may already be scrolled
+	 */
+	function startMeasuring() {
+		window.addEventListener( 'scroll', onScroll, { passive: true } );
+		onScroll();
+	}
+
+	/**
+	 * Throttle depth checks to one per animation frame
+	 */
+	function onScroll() {
+		if ( frameRequested ) {
+			return;
+		}
+		frameRequested = true;
+		requestAnimationFrame( () => {
+			frameRequested = false;
+			checkScrollDepth();
+		} );
+	}
+
+	/**
+	 * Fire any thresholds that have been reached and stop listening once all have fired
+	 */
+	function checkScrollDepth() {
+		const percent = getScrollPercent();
+
+		while ( pendingThresholds.length && percent >= pendingThresholds[0] ) {
+			const threshold = pendingThresholds.shift();
+			sendEventBeacon( endpoint, trackedEvent.slug, `${threshold}%` );
+		}
+
+		if ( !pendingThresholds.length ) {
+			window.removeEventListener( 'scroll', onScroll );
+		}
+	}
+
+	/**
+	 * Get the current scroll depth as a whole percentage (0-100)
+	 *
+	 * @returns {number}
+	 */
+	function getScrollPercent() {
+		const viewportHeight = window.innerHeight || document.documentElement.clientHeight;
+		let ratio;
+
+		if ( container ) {
+			const rect = container.getBoundingClientRect();
+			ratio = rect.height > 0 ? ( viewportHeight - rect.top ) / rect.height : 0;
+		} else {
+			const scrollHeight = document.documentElement.scrollHeight;
+			ratio = scrollHeight > 0 ? ( window.scrollY + viewportHeight ) / scrollHeight : 0;
+		}
+
+		return Math.min( 100, Math.max( 0, Math.round( ratio * 100 ) ) );
+	}
+}
+
+// ========== Element Visibility ==========
+
+/**
+ * Set up impression tracking for elements matching the selector
+ *
+ * An element counts as visible once the configured percentage of it is in
+ * the viewport, or it fills that percentage of the viewport (for elements
+ * taller than the screen), continuously for the minimum dwell time. Each
+ * element fires at most once per page view.
+ *
+ * @param {WeGoTrackedEvent} trackedEvent - The element visible tracked event configuration
+ * @param {string} endpoint - The REST API endpoint URL
+ */
+function setupElementVisibleTracking( trackedEvent, endpoint ) {
+	if ( typeof IntersectionObserver === 'undefined' ) {
+		return;
+	}
+
+	const minRatio = Math.min( 100, Math.max( 1, Number( trackedEvent.eventSource.minVisiblePercent ) || 50 ) ) / 100;
+	const minDwellMs = Math.max( 0, Number( trackedEvent.eventSource.minDwellSeconds ) || 0 ) * 1000;
+
+	/** @type {Map<Element, number>} Pending dwell timers keyed by element */
+	const dwellTimers = new Map();
+
+	/** @type {WeakSet<Element>} Elements that have already fired this page view, in case they're re-added to the page */
+	let firedElements = new WeakSet();
+
+	// Observe in 5% steps (plus the exact minimum) so coverage of the
+	// viewport is re-checked as tall elements scroll through it
+	const thresholds = [ minRatio ];
+	for ( let step = 0; step <= 100; step += 5 ) {
+		thresholds.push( step / 100 );
+	}
+
+	const observer = new IntersectionObserver( ( entries ) => {
+		for ( const entry of entries ) {
+			if ( isSufficientlyVisible( entry ) ) {
+				startDwellTimer( entry.target );
+			} else {
+				cancelDwellTimer( entry.target );
+			}
+		}
+	}, { threshold: thresholds } );
+
+	// Watch elements that match the selector, now and as they're added to the page
+	watchSelector( trackedEvent.eventSource.selector, trackedEvent.slug, observeElements );
+
+	// Elements kept across a route change can fire again in the new page view
+	onRouteChange( () => {
+		for ( const element of Array.from( dwellTimers.keys() ) ) {
+			cancelDwellTimer( element );
+		}
+		firedElements = new WeakSet();
+		observer.disconnect();
+		observeElements( validateSelectorAll( trackedEvent.eventSource.selector, trackedEvent.slug ) );
+	} );
+
+	/**
+	 * @param {Element[]} elements
+	 */
+	function observeElements( elements ) {
+		for ( const element of elements ) {
+			if ( !firedElements.has( element ) ) {
+				observer.observe( element );
+			}
+		}
+	}
+
+	/**
+	 * @param {IntersectionObserverEntry} entry
+	 * @returns {boolean}
+	 */
+	function isSufficientlyVisible( entry ) {
+		if ( !entry.isIntersecting ) {
+			return false;
+		}
+		if ( entry.intersectionRatio >= minRatio ) {
+			return true;
+		}
+		const viewportHeight = entry.rootBounds?.height || window.innerHeight;
+		return viewportHeight > 0 && entry.intersectionRect.height / viewportHeight >= minRatio;
+	}
+
+	/**
+	 * @param {Element} element
+	 */
+	function startDwellTimer( element ) {
+		if ( dwellTimers.has( element ) ) {
+			return;
+		}
+		dwellTimers.set( element, setTimeout( () => {
+			dwellTimers.delete( element );
+			firedElements.add( element );
+			observer.unobserve( element );
+			sendEventBeacon( endpoint, trackedEvent.slug, getElementLabel( element ) || 'Unknown element' );
+		}, minDwellMs ) );
+	}
+
+	/**
+	 * @param {Element} element
+	 */
+	function cancelDwellTimer( element ) {
+		if ( dwellTimers.has( element ) ) {
+			clearTimeout( dwellTimers.get( element ) );
+			dwellTimers.delete( element );
+		}
+	}
+}
+
+// ========== Single-Page App Navigation ==========
+
+/**
+ * Detect route changes made with the History API (headless themes, Barba,
+ * Swup) and announce them with a `wego:routechange` event on window
+ *
+ * Event sources that count things "per page view" reset themselves on this
+ * event; listeners set up at load are reused, never re-added.
+ */
+function setupRouteChangeDetection() {
+	for ( const method of [ 'pushState', 'replaceState' ] ) {
+		const original = history[ method ];
+		if ( typeof original !== 'function' ) {
+			continue;
+		}
+		history[ method ] = function( ...args ) {
+			const result = original.apply( this, args );
+			checkRouteChange();
+			return result;
+		};
+	}
+
+	window.addEventListener( 'popstate', checkRouteChange );
+}
+
+/**
+ * Dispatch a route change if the path or query string changed
+ *
+ * Hash-only changes and replaceState calls that keep the URL (scroll
+ * restoration, state updates) are not new page views.
+ */
+function checkRouteChange() {
+	const route = getCurrentRoute();
+	if ( route === currentRoute ) {
+		return;
+	}
+
+	currentRoute = route;
+	window.dispatchEvent( new CustomEvent( EVENT_ROUTE_CHANGE, { detail: { route } } ) );
+}
+
+/**
+ * Run a callback on every route change
+ *
+ * @param {(e: CustomEvent) => void} callback
+ */
+function onRouteChange( callback ) {
+	window.addEventListener( EVENT_ROUTE_CHANGE, callback );
+}
+
+/**
+ * Get the current route, as recorded in page_url
+ *
+ * @returns {string}
+ */
+function getCurrentRoute() {
+	return window.location.pathname + window.location.search;
+}
+
+// ========== Dynamic Targets ==========
+
+/**
+ * @typedef {Object} WeGoSelectorWatcher
+ * @property {string} selector - CSS selector to match
+ * @property {(elements: Element[]) => void} callback - Receives newly matched elements
+ * @property {boolean} once - Stop watching after the first match
+ */
+
+/**
+ * Call back with elements matching a selector, both those already on the page
+ * and those added to the DOM later (sliders, popups, lazy-loaded embeds)
+ *
+ * A single MutationObserver serves all watchers. Callbacks may see the same
+ * element again if it is removed and re-added, so they must be idempotent.
+ *
+ * @param {any} selector - CSS selector to match
+ * @param {string} slug - Event slug for logging
+ * @param {(elements: Element[]) => void} callback - Receives the matched elements
+ * @param {{once?: boolean}} options - `once` stops watching after the first match
+ * @returns {() => void} Function that stops watching
+ */
+function watchSelector( selector, slug, callback, { once = false } = {} ) {
+	const watcher = { selector, callback, once };
+	const stopWatching = () => {
+		selectorWatchers.delete( watcher );
+		if ( !selectorWatchers.size && targetObserver ) {
+			targetObserver.disconnect();
+			targetObserver = null;
+		}
+	};
+
+	// Logs and returns nothing for an invalid selector
+	const existing = validateSelectorAll( selector, slug );
+	if ( existing.length ) {
+		callback( existing );
+		if ( once ) {
+			return () => {};
+		}
+	} else if ( !isValidSelector( selector ) ) {
+		return () => {};
+	}
+
+	selectorWatchers.add( watcher );
+
+	if ( !targetObserver ) {
+		targetObserver = new MutationObserver( handleTargetMutations );
+		targetObserver.observe( document.documentElement, { childList: true, subtree: true } );
+	}
+
+	return stopWatching;
+}
+
+/**
+ * Hand newly added elements to any watchers whose selector they match
+ *
+ * @param {MutationRecord[]} mutations
+ */
+function handleTargetMutations( mutations ) {
+	const addedElements = [];
+	for ( const mutation of mutations ) {
+		for ( const node of mutation.addedNodes ) {
+			if ( node instanceof Element ) {
+				addedElements.push( node );
+			}
+		}
+	}
+
+	if ( !addedElements.length ) {
+		return;
+	}
+
+	for ( const watcher of Array.from( selectorWatchers ) ) {
+		const matches = new Set();
+		for ( const element of addedElements ) {
+			if ( element.matches( watcher.selector ) ) {
+				matches.add( element );
+			}
+			for ( const descendant of element.querySelectorAll( watcher.selector ) ) {
+				matches.add( descendant );
+			}
+		}
+
+		if ( !matches.size ) {
+			continue;
+		}
+
+		if ( watcher.once ) {
+			selectorWatchers.delete( watcher );
+		}
+		watcher.callback( Array.from( matches ) );
+	}
+
+	if ( !selectorWatchers.size && targetObserver ) {
+		targetObserver.disconnect();
+		targetObserver = null;
+	}
+}
+
+// ========== Consent ==========
+
+/**
+ * Start listening for the configured consent signal
+ *
+ * Consent is re-evaluated on every change the consent platform reports, so a
+ * visitor who withdraws consent stops being tracked without a reload.
+ *
+ * @param {WeGoConsentConfig|undefined} config - Consent settings from the tracking config
+ */
+function setupConsentGating( config ) {
+	if ( config ) {
+		consentConfig = config;
+	}
+
+	switch ( consentConfig.mode ) {
+		case CONSENT_MODE_WP_CONSENT_API:
+			listenForWpConsentApi();
+			break;
+
+		case CONSENT_MODE_GOOGLE_CONSENT_MODE:
+			listenForGoogleConsentMode();
+			break;
+
+		case CONSENT_MODE_TCF:
+			listenForTcfConsent();
+			break;
+
+		default:
+			updateConsent( true );
+			break;
+	}
+}
+
+/**
+ * Run a callback now if consent is already granted, and again each time it
+ * is granted after being withheld
+ *
+ * @param {Function} callback
+ */
+function onConsentGranted( callback ) {
+	consentGrantedCallbacks.push( callback );
+	if ( hasConsent ) {
+		callback();
+	}
+}
+
+/**
+ * Record the latest consent state, releasing held events when it is granted
+ *
+ * @param {boolean} granted
+ */
+function updateConsent( granted ) {
+	if ( granted === hasConsent ) {
+		return;
+	}
+
+	hasConsent = granted;
+	if ( !granted ) {
+		return;
+	}
+
+	for ( const callback of consentGrantedCallbacks ) {
+		callback();
+	}
+
+	const pending = consentPendingEvents;
+	consentPendingEvents = [];
+	for ( const { endpoint, payload } of pending ) {
+		bufferEvent( endpoint, payload );
+	}
+}
+
+/**
+ * Keep or discard an event fired before consent was granted
+ *
+ * @param {string} endpoint - The REST API endpoint URL
+ * @param {Object} payload - The event payload
+ */
+function holdEventForConsent( endpoint, payload ) {
+	if ( consentConfig.pendingEvents === CONSENT_PENDING_DROP ) {
+		return;
+	}
+
+	consentPendingEvents.push( { endpoint, payload } );
+
+	// Drop the oldest events once the cap is reached
+	if ( consentPendingEvents.length > CONSENT_PENDING_MAX_SIZE ) {
+		consentPendingEvents.shift();
+	}
+}
+
+/**
+ * Follow the WP Consent API "statistics" category
+ *
+ * @see https://wordpress.org/plugins/wp-consent-api/
+ */
+function listenForWpConsentApi() {
+	if ( typeof window.wp_has_consent !== 'function' ) {
+		console.warn( 'wego-traffic-source: WP Consent API is not loaded, tracking stays disabled until it is' );
+	} else {
+		updateConsent( window.wp_has_consent( WP_CONSENT_CATEGORY ) );
+	}
+
+	document.addEventListener( 'wp_listen_for_consent_change', ( e ) => {
+		const value = e.detail?.[ WP_CONSENT_CATEGORY ];
+		if ( value !== undefined ) {
+			updateConsent( value === 'allow' );
+		}
+	} );
+}
+
+/**
+ * Follow the analytics_storage signal of Google Consent Mode
+ *
+ * gtag( 'consent', 'default' | 'update', {...} ) calls are pushed to the
+ * dataLayer, so the existing entries are replayed and later pushes observed.
+ * Region-specific defaults are not evaluated.
+ */
+function listenForGoogleConsentMode() {
+	window.dataLayer = window.dataLayer || [];
+
+	const applyEntry = ( entry ) => {
+		if ( entry?.[0] !== 'consent' || ![ 'default', 'update' ].includes( entry[1] ) ) {
+			return;
+		}
+		const analyticsStorage = entry[2]?.analytics_storage;
+		if ( typeof analyticsStorage === 'string' ) {
+			updateConsent( analyticsStorage === 'granted' );
+		}
+	};
+
+	for ( const entry of window.dataLayer ) {
+		applyEntry( entry );
+	}
+
+	const originalPush = window.dataLayer.push;
+	window.dataLayer.push = function( ...entries ) {
+		const result = originalPush.apply( this, entries );
+		entries.forEach( applyEntry );
+		return result;
+	};
+}
+
+/**
+ * Follow an IAB TCF v2 consent management platform via __tcfapi
+ *
+ * Tracking is allowed when GDPR doesn't apply to the visitor, or when every
+ * purpose in TCF_REQUIRED_PURPOSES has consent.
+ */
+function listenForTcfConsent() {
+	if ( typeof window.__tcfapi !== 'function' ) {
+		console.warn( 'wego-traffic-source: No TCF v2 __tcfapi found, tracking stays disabled' );
+		return;
+	}
+
+	window.__tcfapi( 'addEventListener', 2, ( tcData, success ) => {
+		if ( !success || !tcData ) {
+			return;
+		}
+
+		if ( tcData.gdprApplies === false ) {
+			updateConsent( true );
+			return;
+		}
+
+		// 'cmpuishown' means the visitor hasn't decided yet
+		if ( tcData.eventStatus === 'tcloaded' || tcData.eventStatus === 'useractioncomplete' ) {
+			updateConsent( TCF_REQUIRED_PURPOSES.every( purpose => tcData.purpose?.consents?.[ purpose ] === true ) );
+		}
+	} );
+}
+
+// ========== Event Transmission ==========
+
+/**
+ * Build an event payload and add it to the outgoing batch
+ *
+ * @param {string} endpoint - The REST API endpoint URL
+ * @param {string} eventSlug - The event type slug
+ * @param {string} primaryValue - The primary value for the event
+ * @param {Object|null} eventSourceData - Optional event source specific data
+ * @param {string} pagePath - Route the event happened on, for events sent from a later page
+ */
+function sendEventBeacon( endpoint, eventSlug, primaryValue, eventSourceData = null, pagePath = getCurrentRoute() ) {
+	const trafficSource = determineTrafficSource();
+	const { firstTouch, lastTouch } = getAttributionTouches();
+	const deviceType = getDeviceType();
+	const browserFamily = getBrowserFamily();
+	const osFamily = getOsFamily();
+
+	// Payload uses snake_case for REST API parameters (not camelCase).
+	// This is standard REST API convention, matching WordPress patterns.
+	// Do not succumb to the urge to refactor these to camelCase
+	const payload = {
+		event_type: eventSlug,
+		primary_value: primaryValue,
+		traffic_source: trafficSource,
+		first_touch_source: describeTrafficSource( firstTouch ),
+		last_touch_source: describeTrafficSource( lastTouch ),
+		device_type: deviceType,
+		page_url: pagePath,
+		browser_family: browserFamily,
+		os_family: osFamily,
+		// Lets the server discard a queued retry it has already recorded
+		event_id: generateEventId()
+	};
+
+	// Raw click IDs allow offline conversion uploads to the ad platform.
+	// Data from the event source wins if a key is taken.
+	const clickIds = getClickIds( lastTouch );
+	if ( Object.keys( clickIds ).length ) {
+		eventSourceData = { ...clickIds, ...eventSourceData };
+	}
+
+	if ( eventSourceData !== null ) {
+		payload.event_source_data = eventSourceData;
+	}
+
+	if ( debugMode ) {
+		console.info( `wego-traffic-source: Event "${eventSlug}"${hasConsent ? '' : ' (waiting for consent)'}`, payload );
+	}
+
+	if ( !hasConsent ) {
+		holdEventForConsent( endpoint, payload );
+		return;
+	}
+
+	bufferEvent( endpoint, payload );
+}
+
+/**
+ * Generate a unique ID for an event payload
+ *
+ * @returns {string}
+ */
+function generateEventId() {
+	// randomUUID is only available in secure contexts
+	if ( typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function' ) {
+		return crypto.randomUUID();
+	}
+	return Date.now().toString( 36 ) + '-' + Math.random().toString( 36 ).substring( 2, 11 );
+}
+
+// ========== Event Batching ==========
+
+/**
+ * Flush buffered events whenever the page may be going away
+ *
+ * pagehide covers navigation and bfcache, visibilitychange covers tab switches
+ * and mobile app switching, where pagehide may never fire.
+ */
+function setupEventBatching() {
+	document.addEventListener( 'visibilitychange', () => {
+		if ( document.visibilityState === 'hidden' ) {
+			flushEventBuffer();
+		}
+	} );
+	window.addEventListener( 'pagehide', flushEventBuffer );
+}
+
+/**
+ * Add an event to the outgoing batch, flushing when the batch is full
+ *
+ * @param {string} endpoint - The REST API endpoint URL
+ * @param {Object} payload - The event payload
+ */
+function bufferEvent( endpoint, payload ) {
+	eventBuffer.push( { endpoint, payload } );
+
+	if ( eventBuffer.length >= EVENT_BATCH_MAX_SIZE ) {
+		flushEventBuffer();
+		return;
+	}
+
+	if ( eventBufferTimer === null ) {
+		eventBufferTimer = setTimeout( flushEventBuffer, EVENT_BATCH_DELAY_MS );
+	}
+}
+
+/**
+ * Send all buffered events, one request per endpoint
+ */
+function flushEventBuffer() {
+	if ( eventBufferTimer !== null ) {
+		clearTimeout( eventBufferTimer );
+		eventBufferTimer = null;
+	}
+
+	if ( !eventBuffer.length ) {
+		return;
+	}
+
+	const batches = new Map();
+	for ( const { endpoint, payload } of eventBuffer ) {
+		if ( !batches.has( endpoint ) ) {
+			batches.set( endpoint, [] );
+		}
+		batches.get( endpoint ).push( payload );
+	}
+	eventBuffer = [];
+
+	for ( const [ endpoint, payloads ] of batches ) {
+		sendBatch( endpoint, payloads );
+	}
+}
+
+/**
+ * Send an array of event payloads in a single request via sendBeacon
+ *
+ * @param {string} endpoint - The REST API endpoint URL
+ * @param {Object[]} payloads - Event payloads
+ */
+function sendBatch( endpoint, payloads ) {
+	if ( debugMode?.dryRun ) {
+		console.info( `wego-traffic-source: Dry run, ${payloads.length} event(s) not sent to ${endpoint}` );
+		return;
+	}
+
+	// Use sendBeacon for reliable delivery even during page unload
+	// https://developer.mozilla.org/en-US/docs/Web/API/Navigator/sendBeacon
+	// sendBeacon returns false when the browser refuses to queue the request
+	// (payload too large, quota exceeded), so keep those for a later retry
+	let queued = false;
+	if ( navigator.onLine !== false ) {
+		queued = navigator.sendBeacon(
+			endpoint,
+			new Blob(
+				[ JSON.stringify( payloads ) ],
+				{ type: 'application/json' }
+			)
+		);
+	}
+
+	if ( !queued ) {
+		for ( const payload of payloads ) {
+			enqueueFailedEvent( endpoint, payload );
+		}
+	}
+}
+
+// ========== Delivery Queue ==========
+
+/**
+ * Queued event awaiting redelivery, persisted in localStorage
+ *
+ * @typedef {Object} WeGoQueuedEvent
+ * @property {string} endpoint - The REST API endpoint URL
+ * @property {Object} payload - The original event payload, including event_id
+ * @property {number} queuedAt - Timestamp (ms) when the event was first queued
+ */
+
+/**
+ * Retry queued events once consent is granted and whenever the browser comes
+ * back online
+ */
+function setupEventQueue() {
+	window.addEventListener( 'online', flushEventQueue );
+	onConsentGranted( flushEventQueue );
+}
+
+/**
+ * Save an event that could not be sent for a later retry
+ *
+ * @param {string} endpoint - The REST API endpoint URL
+ * @param {Object} payload - The event payload
+ */
+function enqueueFailedEvent( endpoint, payload ) {
+	const queue = readEventQueue();
+
+	if ( queue.some( entry => entry.payload.event_id === payload.event_id ) ) {
+		return;
+	}
+
+	queue.push( { endpoint, payload, queuedAt: Date.now() } );
+
+	// Drop the oldest events once the cap is reached
+	writeEventQueue( queue.slice( -EVENT_QUEUE_MAX_SIZE ) );
+}
+
+/**
+ * Resend queued events with fetch keepalive
+ *
+ * Events are removed from the queue once the server has answered, even with
+ * an error status: a rejected payload will not succeed on a later attempt.
+ * Only network failures leave an event queued.
+ */
+async function flushEventQueue() {
+	if ( isFlushingEventQueue || !hasConsent || navigator.onLine === false || debugMode?.dryRun ) {
+		return;
+	}
+
+	const queue = readEventQueue();
+	if ( !queue.length ) {
+		return;
+	}
+
+	isFlushingEventQueue = true;
+
+	try {
+		for ( const entry of queue ) {
+			try {
+				await fetch( entry.endpoint, {
+					method: 'POST',
+					headers: { 'Content-Type': 'application/json' },
+					// Only retries are checked against recently recorded event IDs
+					body: JSON.stringify( { ...entry.payload, retry: true } ),
+					keepalive: true,
+					credentials: 'same-origin'
+				} );
+			} catch {
+				// Still unreachable, leave this and the remaining events queued
+				break;
+			}
+
+			removeQueuedEvent( entry.payload.event_id );
+		}
+	} finally {
+		isFlushingEventQueue = false;
+	}
+}
+
+/**
+ * Remove a single event from the stored queue
+ *
+ * The stored queue is re-read so events queued by other tabs while a flush
+ * was in progress are preserved.
+ *
+ * @param {string} eventId - The event_id of the payload to remove
+ */
+function removeQueuedEvent( eventId ) {
+	writeEventQueue( readEventQueue().filter( entry => entry.payload.event_id !== eventId ) );
+}
+
+/**
+ * Read the stored queue, discarding malformed and expired entries
+ *
+ * @returns {WeGoQueuedEvent[]}
+ */
+function readEventQueue() {
+	let queue;
+	try {
+		queue = JSON.parse( localStorage.getItem( STORAGE_KEY_EVENT_QUEUE ) || '[]' );
+	} catch {
+		// Storage unavailable or corrupt, start over
+		return [];
+	}
+
+	if ( !Array.isArray( queue ) ) {
+		return [];
+	}
+
+	const oldestAllowed = Date.now() - EVENT_QUEUE_MAX_AGE_MS;
+	return queue.filter( entry =>
+		entry
+		&& typeof entry.endpoint === 'string'
+		&& entry.payload?.event_id
+		&& entry.queuedAt >= oldestAllowed
+	);
+}
+
+/**
+ * Persist the queue, removing the storage key when it's empty
+ *
+ * @param {WeGoQueuedEvent[]} queue
+ */
+function writeEventQueue( queue ) {
+	try {
+		if ( queue.length ) {
+			localStorage.setItem( STORAGE_KEY_EVENT_QUEUE, JSON.stringify( queue ) );
+		} else {
+			localStorage.removeItem( STORAGE_KEY_EVENT_QUEUE );
+		}
+	} catch {
+		// Storage full or unavailable, the event is lost
+	}
+}
+
+// ========== Traffic Source Management ==========
+
+/**
+ * @typedef {Object} WeGoTrafficSourceData
+ * @property {Object<string, string>} utm - UTM parameters and ad click IDs of the landing page
+ * @property {string} referrer - External referrer, empty if none
+ * @property {string} landingPage - Landing page URL, without the fragment
+ */
+
+/**
+ * Read the traffic source of the current page load without storing it
+ *
+ * @returns {WeGoTrafficSourceData}
+ */
+function captureTrafficSourceData() {
+	// Collect any UTM data and click IDs
+	const url = new URL( window.location.href );
+	const utmParams = {};
+	for ( const param of [ ...UTM_PARAMS, ...getClickIdParams() ] )  {
+		const value = url.searchParams.get( param );
+		if ( value ) {
+			utmParams[param] = value;
+		}
+	}
+
+	// Check for external referrer
+	let referrer = '';
+	if ( document.referrer ) {
+		// Don't log ourself as referrer
+		try {
+			const referrerUrl = new URL( document.referrer );
+			const currentUrl = new URL( window.location.href );
+			if ( referrerUrl.hostname !== currentUrl.hostname ) {
+				referrer = document.referrer;
+			}
+		} catch {
+			// If URL parsing fails, preserve the raw referrer so malformed
+			// values can be inspected later
+			referrer = document.referrer;
+		}
+	}
+
+	url.hash = '';
+
+	// Trim to avoid whitespace-only values downstream
+	return { utm: utmParams, referrer: referrer.trim(), landingPage: url.href };
+}
+
+/**
+ * Persist the landing traffic source for the rest of the session
+ *
+ * Only runs once consent is granted, see onConsentGranted()
+ */
+function storeTrafficSourceData() {
+	// Early exit if we already have first-page-load data, don't overwrite
+	const existingUtm = sessionStorage.getItem( STORAGE_KEY_UTM );
+	const existingRef = sessionStorage.getItem( STORAGE_KEY_REFERRER );
+	if ( existingUtm || existingRef ) {
+		return;
+	}
+
+	// Always save UTM data and referrer, even if empty
+	sessionStorage.setItem( STORAGE_KEY_UTM, JSON.stringify( landingTrafficSource.utm ) );
+	sessionStorage.setItem( STORAGE_KEY_REFERRER, landingTrafficSource.referrer );
+	sessionStorage.setItem( STORAGE_KEY_LANDING_PAGE, landingTrafficSource.landingPage );
+
+	// A new session is a new touch
+	recordAttributionTouch( landingTrafficSource );
+}
+
+/**
+ * Get the session's traffic source data
+ *
+ * Falls back to this page load's data when nothing has been stored, which is
+ * the case while consent is pending.
+ *
+ * @returns {WeGoTrafficSourceData}
+ */
+function getTrafficSourceData() {
+	const storedUtm = sessionStorage.getItem( STORAGE_KEY_UTM );
+	const storedRef = sessionStorage.getItem( STORAGE_KEY_REFERRER );
+	if ( storedUtm === null && storedRef === null ) {
+		return landingTrafficSource;
+	}
+
+	return {
+		utm: storedUtm ? JSON.parse( storedUtm ) : {},
+		referrer: storedRef || '',
+		landingPage: sessionStorage.getItem( STORAGE_KEY_LANDING_PAGE ) || ''
+	};
+}
+
+/**
+ * Describe the current session's traffic source
+ *
+ * @returns {string}
+ */
+function determineTrafficSource() {
+	return describeTrafficSource( getTrafficSourceData() );
+}
+
+/**
+ * Determine what to show for traffic source data
+ *
+ * @param {WeGoTrafficSourceData} trafficSourceData
+ * @returns {string}
+ */
+function describeTrafficSource( trafficSourceData ) {
+	const { utm: utmData, referrer: storedRef } = trafficSourceData;
+
+	// Explicit UTM tagging outranks click IDs and the referrer, so UTM rules
+	// and the generic UTM label are checked first
+	const utmRuleLabel = findChannelRuleLabel( CHANNEL_UTM_MATCH_TYPES, utmData, '' );
+	if ( utmRuleLabel ) {
+		return utmRuleLabel;
+	}
+
+	const medium = utmData.utm_medium;
+	if ( medium ) {
+		const term = utmData.utm_term;
+		return term ? `Tracked: ${medium} - ${term}` : `Tracked: ${medium}`;
+	}
+
+	let refUrl = null;
+	if ( storedRef ) {
+		try {
+			refUrl = new URL( storedRef );
+		} catch {
+			// Malformed, reported below unless a click ID rule matches
+		}
+	}
+
+	// Click ID and referrer rules are evaluated in the admin's order
+	const ruleLabel = findChannelRuleLabel(
+		[ CHANNEL_MATCH_CLICK_ID, CHANNEL_MATCH_REFERRER_DOMAIN ],
+		utmData,
+		refUrl ? refUrl.hostname.toLowerCase() : ''
+	);
+	if ( ruleLabel ) {
+		return ruleLabel;
+	}
+
+	if ( storedRef ) {
+		if ( !refUrl ) {
+			// Malformed referrer: return a short, safe preview
+			const preview = storedRef.length > 100 ? storedRef.slice( 0, 100 ) + '…' : storedRef;
+			return `Malformed Referral: ${preview}`;
+		}
+
+		// External referral (no match found)
+		return `Referral from ${refUrl.hostname}`;
+	}
+
+	// "Direct" if we have no other information
+	return TRAFFIC_SOURCE_DIRECT;
+}
+
+/**
+ * Populate targeted hidden fields now and in forms added later, which
+ * includes forms rendered by single-page app route changes
+ */
+function setupFormFieldPopulation() {
+	watchSelector( 'input[type="hidden"]', 'hidden form fields', populateFormFields );
+}
+
+/**
+ * Set the value of all matching form fields
+ *
+ * @param {Iterable<HTMLInputElement>} hiddenFields - Hidden inputs to check
+ */
+function populateFormFields( hiddenFields ) {
+	// Check hidden fields for ones we're targeting
+	for ( const hiddenField of hiddenFields ) {
+		const target = hiddenField.value.trim().toLowerCase();
+
+		if ( target === FORM_FIELD_TARGET_VALUE ) {
+			hiddenField.value = determineTrafficSource();
+			continue;
+		}
+
+		if ( !target.startsWith( FORM_FIELD_TOKEN_PREFIX ) ) {
+			continue;
+		}
+
+		const token = target.slice( FORM_FIELD_TOKEN_PREFIX.length );
+		const value = resolveFormFieldToken( token );
+		if ( value === null ) {
+			console.warn( `wego-traffic-source: Unknown form field token "${hiddenField.value}" in field "${hiddenField.name}"` );
+			continue;
+		}
+
+		hiddenField.value = value;
+	}
+}
+
+/**
+ * Get the value for a "wego:<token>" hidden field placeholder
+ *
+ * UTM fields, referrer and landing page describe the current session. Click
+ * IDs come from the last touch, matching what is sent in event_source_data.
+ * Tokens without a value resolve to an empty string so the placeholder text
+ * never reaches the form's destination.
+ *
+ * @param {string} token - Lowercase token, e.g. "utm_source"
+ * @returns {string|null} The value, or null for an unknown token
+ */
+function resolveFormFieldToken( token ) {
+	const session = getTrafficSourceData();
+
+	switch ( token ) {
+		case 'traffic_source':
+			return determineTrafficSource();
+
+		case 'first_touch':
+			return describeTrafficSource( getAttributionTouches().firstTouch );
+
+		case 'last_touch':
+			return describeTrafficSource( getAttributionTouches().lastTouch );
+
+		case 'landing_page':
+			return session.landingPage;
+
+		case 'referrer':
+			return session.referrer;
+
+		case 'device_type':
+			return getDeviceType();
+
+		case 'browser_family':
+			return getBrowserFamily();
+
+		case 'os_family':
+			return getOsFamily();
+	}
+
+	if ( UTM_PARAMS.includes( token ) ) {
+		return session.utm[ token ] || '';
+	}
+
+	if ( getClickIdParams().includes( token ) ) {
+		return getClickIds( getAttributionTouches().lastTouch )[ token ] || '';
+	}
+
+	return null;
+}
+
+/**
+ * Get the ad click IDs from traffic source data
+ *
+ * @param {WeGoTrafficSourceData} trafficSourceData
+ * @returns {Object<string, string>} Click IDs keyed by parameter name
+ */
+function getClickIds( trafficSourceData ) {
+	const clickIds = {};
+	for ( const param of getClickIdParams() ) {
+		if ( trafficSourceData.utm[ param ] ) {
+			clickIds[ param ] = trafficSourceData.utm[ param ];
+		}
 	}
+	return clickIds;
 }
 
-// ========== Podium Widget Events ==========
+// ========== Channel Grouping ==========
 
 /**
- * Set up tracking for Podium widget events
+ * Compile the channel grouping rules from the tracking config
  *
- * @param {WeGoTrackedEvent} trackedEvent - The Podium tracked event configuration
- * @param {string} endpoint - The REST API endpoint URL
+ * @param {WeGoChannelRule[]|undefined} rules - Rules in evaluation order
  */
-function setupPodiumEventTracking( trackedEvent, endpoint ) {
-	// Validate that we have events to track
-	if ( !trackedEvent.eventSource.events || !Array.isArray( trackedEvent.eventSource.events ) ) {
+function setupChannelRules( rules ) {
+	if ( !Array.isArray( rules ) ) {
 		return;
 	}
 
-	/**
-	 * Podium widget event callback
-	 *
-	 * Note: There's no real use case for more than a single Podium tracked
-	 * event so we assume there should never be more than one and blindly
-	 * overwrite any previous PodiumEventsCallback instance.
-	 *
-	 * @param {string} eventName - The Podium event name that triggered
-	 * @param {any} properties - Additional event properties from Podium
-	 */
-	window.PodiumEventsCallback = function( eventName, properties ) {
-		if ( trackedEvent.eventSource.events.includes( eventName ) ) {
-			// The Podium event name is display-ready for the primary value
-			sendEventBeacon( endpoint, trackedEvent.slug, eventName );
-		}
-	};
+	channelRules = rules
+		.filter( rule =>
+			rule
+			&& typeof rule.match === 'string'
+			&& typeof rule.label === 'string'
+			&& Array.isArray( rule.values )
+		)
+		.map( rule => ( {
+			...rule,
+			patterns: rule.values.map( globToRegExp )
+		} ) );
 }
 
-// ========== YouTube ==========
-
 /**
- * Set up tracking for YouTube video events
+ * Find the label of the first rule of the given match types that matches
  *
- * @param {WeGoTrackedEvent} trackedEvent - The YouTube tracked event configuration
- * @param {string} endpoint - The REST API endpoint URL
+ * @param {string[]} matchTypes - CHANNEL_MATCH_* types to evaluate
+ * @param {Object<string, string>} utmData - UTM parameters and click IDs
+ * @param {string} referrerHostname - Lowercase referrer hostname, empty if none
+ * @returns {string|null}
  */
-function setupYouTubeEventTracking( trackedEvent, endpoint ) {
-	// Validate that we have states to track
-	if ( !trackedEvent.eventSource.states || !Array.isArray( trackedEvent.eventSource.states ) ) {
-		return;
-	}
-	// YouTube player state constants
-	const YT_STATE_ENDED = 0;
-	const YT_STATE_PLAYING = 1;
-	const YT_STATE_PAUSED = 2;
-	const YT_STATE_BUFFERING = 3;
+function findChannelRuleLabel( matchTypes, utmData, referrerHostname ) {
+	for ( const rule of channelRules ) {
+		if ( !matchTypes.includes( rule.match ) ) {
+			continue;
+		}
 
-	// Map state numbers to display-ready state names (matching PHP canonical values)
-	const stateMap = {
-		[YT_STATE_PLAYING]: 'Playing',
-		[YT_STATE_PAUSED]: 'Paused',
-		[YT_STATE_ENDED]: 'Ended',
-		[YT_STATE_BUFFERING]: 'Buffering',
-	};
+		if ( rule.match === CHANNEL_MATCH_CLICK_ID ) {
+			if ( rule.values.some( param => utmData[ param ] ) ) {
+				return rule.label;
+			}
+			continue;
+		}
 
-	// Look for iframes that match the selector
-	const iframes = validateSelectorAll( trackedEvent.eventSource.selector, trackedEvent.slug );
-	if ( !iframes.length ) {
-		// No matching targets, nothing to track
-		return;
+		const value = rule.match === CHANNEL_MATCH_REFERRER_DOMAIN ? referrerHostname : utmData[ rule.match ];
+		if ( value && rule.patterns.some( pattern => pattern.test( value ) ) ) {
+			return rule.label;
+		}
 	}
 
-	// Start the loading process only if we have targets
-	loadYouTubeAPI( iframes );
+	return null;
+}
 
-	/**
-	 * Load YouTube IFrame API if not already loaded
-	 */
-	function loadYouTubeAPI( iframes ) {
-		// Check if API is already loaded
-		if ( typeof window.YT !== 'undefined' && typeof window.YT.Player === 'function' ) {
-			initializePlayers( iframes ) ;
-			return;
+/**
+ * Get the click ID parameters to capture: the built-in ones plus any used by
+ * click ID rules
+ *
+ * @returns {string[]}
+ */
+function getClickIdParams() {
+	const params = new Set( CLICK_ID_PARAMS );
+	for ( const rule of channelRules ) {
+		if ( rule.match === CHANNEL_MATCH_CLICK_ID ) {
+			rule.values.forEach( param => params.add( param ) );
 		}
+	}
+	return [ ...params ];
+}
 
-		// Set up callback for when API loads
-		window.onYouTubeIframeAPIReady = function() {
-			initializePlayers( iframes );
-		};
-
-		// Inject YouTube IFrame API script
-		const tag = document.createElement( 'script' );
-		tag.src = 'https://www.youtube.com/iframe_api';
-		const firstScriptTag = document.getElementsByTagName( 'script' )[0];
-		firstScriptTag.parentNode.insertBefore( tag, firstScriptTag );
+/**
+ * Convert a rule value to a case-insensitive, whole-value RegExp where *
+ * matches any characters
+ *
+ * A leading "*." also matches the bare domain, so *.google.com matches
+ * google.com as well as www.google.com.
+ *
+ * @param {string} glob - e.g. "*.google.com" or "google.*"
+ * @returns {RegExp}
+ */
+function globToRegExp( glob ) {
+	let value = String( glob );
+	let prefix = '';
+	if ( value.startsWith( '*.' ) ) {
+		value = value.slice( 2 );
+		prefix = '(?:.*\\.)?';
 	}
 
-	/**
-	 * Initialize YouTube players after API is ready
-	 */
-	function initializePlayers( iframes ) {
-		for ( const iframe of iframes ) {
-			// Skip if already initialized
-			if ( iframe.dataset.wegoYtInitialized ) {
-				continue;
-			}
+	const source = value
+		.split( '*' )
+		.map( part => part.replace( /[.+?^${}()|[\]\\]/g, '\\$&' ) )
+		.join( '.*' );
+	return new RegExp( `^${prefix}${source}$`, 'i' );
+}
 
-			// Mark as initialized
-			iframe.dataset.wegoYtInitialized = 'true';
+// ========== Attribution ==========
 
-			// Ensure iframe has enablejsapi=1 parameter
-			if ( iframe.src && ! iframe.src.includes( 'enablejsapi=1' ) ) {
-				const url = new URL( iframe.src );
-				url.searchParams.set( 'enablejsapi', '1' );
-				iframe.src = url.toString();
-			}
+/**
+ * A traffic source remembered across sessions, persisted in localStorage
+ *
+ * @typedef {WeGoTrafficSourceData & {touchedAt: number}} WeGoAttributionTouch
+ *
+ * @typedef {Object} WeGoAttributionTouches
+ * @property {WeGoTrafficSourceData} firstTouch - Earliest session within the lookback window
+ * @property {WeGoTrafficSourceData} lastTouch - Latest non-direct session within the lookback window
+ */
 
-			// Ensure iframe has an ID for the YT.Player API
-			if ( ! iframe.id ) {
-				iframe.id = 'wego-yt-' + Math.random().toString( 36 ).substring( 2, 11 );
-			}
+/**
+ * Apply attribution settings from the tracking config
+ *
+ * @param {WeGoAttributionConfig|undefined} config
+ */
+function setupAttribution( config ) {
+	if ( config?.lookbackDays > 0 ) {
+		attributionLookbackMs = config.lookbackDays * DAY_MS;
+	}
+}
 
-			// Create YT.Player instance
-			new window.YT.Player( iframe.id, {
-				events: {
-					onStateChange: ( event ) => {
-						// TODO: Probably should check the key exists for safety
-						const stateKey = stateMap[ event.data ];
+/**
+ * Record a session's traffic source as a first and/or last touch
+ *
+ * - First touch is only set when there is none within the lookback window
+ * - Last touch is overwritten by any non-direct session, a direct session only
+ *   becomes the last touch when there is none within the lookback window
+ *
+ * Stored touches keep the raw UTM and referrer data, so labels always follow
+ * the current traffic source rules.
+ *
+ * @param {WeGoTrafficSourceData} trafficSourceData - The new session's traffic source
+ */
+function recordAttributionTouch( trafficSourceData ) {
+	const touches = readAttributionTouches();
+	const touch = { ...trafficSourceData, touchedAt: Date.now() };
 
-						// Only track if this state is configured
-						if ( !stateKey || !trackedEvent.eventSource.states.includes( stateKey ) ) {
-							return;
-						}
+	if ( !touches.firstTouch ) {
+		touches.firstTouch = touch;
+	}
 
-						// Get video information
-						const player = event.target;
-						const videoData = player.getVideoData();
-						const videoId = videoData.video_id || '';
-						const videoTitle = videoData.title || 'Unknown Video';
-						const videoUrl = videoId ? `https://www.youtube.com/watch?v=${videoId}` : '';
-						const currentTime = typeof player.getCurrentTime() === 'number' ? player.getCurrentTime() : 0;
-
-						// Build event_source_data object
-						const eventSourceData = {
-							video_id: videoId,
-							video_title: videoTitle,
-							video_url: videoUrl,
-							state_change: stateKey,
-							current_time: currentTime
-						};
-
-						// Primary value: video title, state change, and formatted current time
-						const hours = Math.floor( currentTime / 3600 );
-						const minutes = Math.floor( ( currentTime % 3600 ) / 60 );
-						const seconds = Math.floor( currentTime % 60 );
-						const timeStr = `${hours}:${minutes.toString().padStart( 2, '0' )}:${seconds.toString().padStart( 2, '0' )}`;
-						const primaryValue = `${videoTitle}: ${stateKey} (${timeStr})`;
-
-						sendEventBeacon( endpoint, trackedEvent.slug, primaryValue, eventSourceData );
-					}
-				}
-			} );
-		}
+	if ( !touches.lastTouch || describeTrafficSource( trafficSourceData ) !== TRAFFIC_SOURCE_DIRECT ) {
+		touches.lastTouch = touch;
 	}
 
+	try {
+		localStorage.setItem( STORAGE_KEY_ATTRIBUTION, JSON.stringify( touches ) );
+	} catch {
+		// Storage full or unavailable, attribution falls back to the session
+	}
 }
 
-// ========== Event Transmission ==========
-
 /**
- * Send event data via sendBeacon
+ * Get the first and last touch traffic sources
  *
- * @param {string} endpoint - The REST API endpoint URL
- * @param {string} eventSlug - The event type slug
- * @param {string} primaryValue - The primary value for the event
- * @param {Object|null} eventSourceData - Optional event source specific data
+ * Falls back to the current session when nothing is stored within the
+ * lookback window, e.g. while consent is pending.
+ *
+ * @returns {WeGoAttributionTouches}
  */
-function sendEventBeacon( endpoint, eventSlug, primaryValue, eventSourceData = null ) {
-	const trafficSource = determineTrafficSource();
-	const deviceType = getDeviceType();
-	const pagePath = window.location.pathname + window.location.search;
-	const browserFamily = getBrowserFamily();
-	const osFamily = getOsFamily();
+function getAttributionTouches() {
+	const touches = readAttributionTouches();
+	const session = getTrafficSourceData();
 
-	// Payload uses snake_case for REST API parameters (not camelCase).
-	// This is standard REST API convention, matching WordPress patterns.
-	// Do not succumb to the urge to refactor these to camelCase
-	const payload = {
-		event_type: eventSlug,
-		primary_value: primaryValue,
-		traffic_source: trafficSource,
-		device_type: deviceType,
-		page_url: pagePath,
-		browser_family: browserFamily,
-		os_family: osFamily
+	return {
+		firstTouch: touches.firstTouch || session,
+		lastTouch: touches.lastTouch || session
 	};
+}
 
-	if ( eventSourceData !== null ) {
-		payload.event_source_data = eventSourceData;
+/**
+ * Read stored touches, discarding malformed ones and those outside the
+ * lookback window
+ *
+ * @returns {{firstTouch: WeGoAttributionTouch|null, lastTouch: WeGoAttributionTouch|null}}
+ */
+function readAttributionTouches() {
+	let stored;
+	try {
+		stored = JSON.parse( localStorage.getItem( STORAGE_KEY_ATTRIBUTION ) || '{}' );
+	} catch {
+		// Storage unavailable or corrupt, start over
+		stored = {};
 	}
 
-	// Use sendBeacon for reliable delivery even during page unload
-	// https://developer.mozilla.org/en-US/docs/Web/API/Navigator/sendBeacon
-	navigator.sendBeacon(
-		endpoint,
-		new Blob(
-			[ JSON.stringify( payload ) ],
-			{ type: 'application/json' }
-		)
-	);
+	const oldestAllowed = Date.now() - attributionLookbackMs;
+	const validTouch = ( touch ) => (
+		touch
+		&& touch.utm
+		&& typeof touch.utm === 'object'
+		&& typeof touch.referrer === 'string'
+		&& touch.touchedAt >= oldestAllowed
+	) ? touch : null;
+
+	return {
+		firstTouch: validTouch( stored?.firstTouch ),
+		lastTouch: validTouch( stored?.lastTouch )
+	};
 }
 
-// ========== Traffic Source Management ==========
+// ========== Debug Mode ==========
 
-function storeTrafficSourceData() {
-	// Early exit if we already have first-page-load data, don't overwrite
-	const existingUtm = sessionStorage.getItem( STORAGE_KEY_UTM );
-	const existingRef = sessionStorage.getItem( STORAGE_KEY_REFERRER );
-	if ( existingUtm || existingRef ) {
-		return;
-	}
+/**
+ * @typedef {Object} WeGoDebugMode
+ * @property {boolean} dryRun - Build and log payloads without sending them
+ */
 
-	// Collect any UTM data
-	const url = new URL( window.location.href );
-	const utmParams = {};
-	const utmTags = [ 'utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content' ];
-	for ( const param of utmTags)  {
-		const value = url.searchParams.get( param );
-		if ( value ) {
-			utmParams[param] = value;
-		}
-	}
+/**
+ * Read the debug mode from the wego_debug query parameter, or from the cookie
+ * WeGo_Traffic_Source::remember_debug_mode() sets for admins who used it
+ *
+ * The query parameter wins, so ?wego_debug=0 turns debug mode off for a page.
+ *
+ * @returns {WeGoDebugMode|null} Null when debug mode is off
+ */
+function getDebugMode() {
+	let mode = new URLSearchParams( window.location.search ).get( DEBUG_QUERY_VAR );
 
-	// Always save UTM data, even if empty
-	sessionStorage.setItem( STORAGE_KEY_UTM, JSON.stringify( utmParams ) );
+	if ( mode === null ) {
+		const cookie = document.cookie.split( '; ' ).find( c => c.startsWith( `${DEBUG_COOKIE}=` ) );
+		mode = cookie ? cookie.slice( DEBUG_COOKIE.length + 1 ) : null;
+	}
 
-	// Check for external referrer
-	let referrer = '';
-	if ( document.referrer ) {
-		// Don't log ourself as referrer
-		try {
-			const referrerUrl = new URL( document.referrer );
-			const currentUrl = new URL( window.location.href );
-			if ( referrerUrl.hostname !== currentUrl.hostname ) {
-				referrer = document.referrer;
-			}
-		} catch {
-			// If URL parsing fails, preserve the raw referrer so malformed
-			// values can be inspected later
-			referrer = document.referrer;
-		}
+	if ( mode !== DEBUG_MODE_ON && mode !== DEBUG_MODE_DRY_RUN ) {
+		return null;
 	}
 
-	// Always save referrer, even if empty. Trim to avoid whitespace-only values downstream.
-	sessionStorage.setItem( STORAGE_KEY_REFERRER, referrer.trim() );
+	return { dryRun: mode === DEBUG_MODE_DRY_RUN };
 }
 
-// Determine what to show for referrer
-function determineTrafficSource() {
-	const storedUtm = sessionStorage.getItem( STORAGE_KEY_UTM );
-	const storedRef = sessionStorage.getItem( STORAGE_KEY_REFERRER );
+/**
+ * Outline the elements matched by each tracked event's selector and show a
+ * panel with their match counts, the traffic source and consent status
+ *
+ * @param {WeGoTrackingConfig|null} config - The tracking config
+ */
+function setupDebugPanel( config ) {
+	if ( !debugMode || !config ) {
+		return;
+	}
 
-	// Check for UTM data - return early if we have tracking
-	if ( storedUtm ) {
-		const utmData = JSON.parse( storedUtm );
-		const medium = utmData.utm_medium;
-		if ( medium ) {
-			const term = utmData.utm_term;
-			return term ? `Tracked: ${medium} - ${term}` : `Tracked: ${medium}`;
+	console.info( `wego-traffic-source: Debug mode is on${debugMode.dryRun ? ', dry run: events are logged but not sent' : ''}` );
+
+	// Outlines are CSS rules, so elements added later are outlined too
+	const outlineRules = config.trackedEvents
+		.map( trackedEvent => trackedEvent.eventSource?.selector )
+		.filter( selector => isValidSelector( selector ) )
+		.map( selector => `${selector} { outline: 2px dashed #d63638 !important; outline-offset: 2px !important; }` );
+
+	const style = document.createElement( 'style' );
+	style.textContent = [
+		...outlineRules,
+		'.wego-debug-panel { position: fixed; right: 12px; bottom: 12px; z-index: 2147483647; max-width: min(480px, calc(100vw - 24px)); max-height: 50vh; overflow: auto; padding: 10px 12px; background: #fff; color: #1d2327; border: 1px solid #c3c4c7; border-radius: 4px; box-shadow: 0 2px 8px rgba(0, 0, 0, 0.2); font: 12px/1.5 -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; }',
+		'.wego-debug-panel table { border-collapse: collapse; margin-top: 6px; }',
+		'.wego-debug-panel th, .wego-debug-panel td { padding: 2px 8px 2px 0; text-align: left; vertical-align: top; }',
+		'.wego-debug-panel .wego-debug-warning { color: #d63638; }',
+		'.wego-debug-panel .wego-debug-close { float: right; margin-left: 12px; cursor: pointer; }',
+	].join( '\n' );
+	document.head.appendChild( style );
+
+	debugPanel = document.createElement( 'div' );
+	debugPanel.className = 'wego-debug-panel';
+	debugPanel.addEventListener( 'click', ( e ) => {
+		if ( e.target instanceof Element && e.target.closest( '.wego-debug-close' ) ) {
+			debugPanel.hidden = true;
+		}
+	} );
+	document.body.appendChild( debugPanel );
+	refreshDebugPanel();
+
+	// Match counts change as content is added or removed
+	let refreshTimer = null;
+	new MutationObserver( ( mutations ) => {
+		// Ignore the panel's own updates
+		if ( mutations.every( mutation => debugPanel.contains( mutation.target ) ) ) {
+			return;
 		}
+
+		clearTimeout( refreshTimer );
+		refreshTimer = setTimeout( refreshDebugPanel, DEBUG_PANEL_REFRESH_DELAY_MS );
+	} ).observe( document.documentElement, { childList: true, subtree: true } );
+
+	onRouteChange( refreshDebugPanel );
+	onConsentGranted( refreshDebugPanel );
+}
+
+/**
+ * Redraw the debug panel's contents
+ */
+function refreshDebugPanel() {
+	if ( !debugPanel || !trackingConfig ) {
+		return;
 	}
 
-	// Check for search engines and referrals
-	if ( storedRef ) {
-		let refUrl;
-		try {
-			refUrl = new URL( storedRef );
-		} catch {
-			// Malformed referrer: return a short, safe preview
-			const preview = storedRef.length > 100 ? storedRef.slice( 0, 100 ) + '…' : storedRef;
-			return `Malformed Referral: ${preview}`;
-		}
-		const hostname = refUrl.hostname.toLowerCase();
+	const close = document.createElement( 'span' );
+	close.className = 'wego-debug-close';
+	close.setAttribute( 'role', 'button' );
+	close.setAttribute( 'aria-label', 'Close' );
+	close.textContent = '×';
 
-		// Known email and search engine providers
-		const knownReferrers = [
-			{ label: 'Email: Gmail', domains: [ 'mail.google.com', 'inbox.google.com', 'com.google.android.gm' ] },
-			{ label: 'Email: Outlook', domains: [ 'mail.live.com', 'outlook.live.com', 'com.microsoft.office.outlook' ] },
-			{ label: 'Email: Yahoo Mail', domains: [ 'mail.yahoo.com', 'mail.yahoo.co.uk', 'com.yahoo.mobile.client.android.mail' ] },
-			{ label: 'Email: AOL', domains: [ 'mail.aol.com', 'com.aol.mobile.aolapp' ] },
-			{ label: 'Email: Proton', domains: [ 'mail.proton.me' ] },
-			{ label: 'Organic Search: Google', domains: [ 'www.google.com', 'google.com', 'google.co.uk', 'google.ca' ] },
-			{ label: 'Organic Search: Bing', domains: [ 'bing.com', 'www.bing.com', 'm.bing.com' ] },
-			{ label: 'Organic Search: Yahoo', domains: [ 'search.yahoo.com', 'yahoo.com' ] },
-			{ label: 'Organic Search: DuckDuckGo', domains: [ 'duckduckgo.com' ] },
-			{ label: 'Organic Search: Brave', domains: [ 'search.brave.com' ] }
-		];
+	const heading = document.createElement( 'strong' );
+	heading.textContent = debugMode?.dryRun ? 'WeGo Tracking debug (dry run)' : 'WeGo Tracking debug';
 
-		for ( const ref of knownReferrers ) {
-			// Exact matches only, check the Snowplow database for a curated list of domain names
-			if ( ref.domains.some( d => hostname === d ) ) {
-				return ref.label;
-			}
+	const summary = document.createElement( 'div' );
+	summary.textContent = `Traffic source: ${determineTrafficSource()} · Consent: ${hasConsent ? 'granted' : 'pending'}`;
+
+	const table = document.createElement( 'table' );
+	table.appendChild( createDebugPanelRow( 'th', [ 'Tracked event', 'Type', 'Matches' ] ) );
+
+	for ( const trackedEvent of trackingConfig.trackedEvents ) {
+		const type = trackedEvent.eventSource?.type ?? '';
+		const selector = trackedEvent.eventSource?.selector;
+
+		let matches = '–';
+		if ( isValidSelector( selector ) ) {
+			matches = String( document.querySelectorAll( selector ).length );
+		} else if ( typeof selector === 'string' && selector.trim() ) {
+			matches = 'Invalid selector';
 		}
 
-		// External referral (no match found)
-		return `Referral from ${refUrl.hostname}`;
+		const row = createDebugPanelRow( 'td', [ trackedEvent.slug, type, matches ] );
+		if ( matches === '0' || matches === 'Invalid selector' ) {
+			row.lastElementChild.classList.add( 'wego-debug-warning' );
+		}
+		if ( unregisteredTrackedEvents.includes( trackedEvent ) ) {
+			row.children[1].classList.add( 'wego-debug-warning' );
+			row.children[1].textContent += ' (no event source registered)';
+		}
+		table.appendChild( row );
 	}
 
-	// "Direct" if we have no other information
-	return 'Direct';
+	debugPanel.replaceChildren( close, heading, summary, table );
 }
 
-// Set the value of all matching form fields
-function populateFormFields() {
-	const hiddenFields = document.querySelectorAll( 'input[type="hidden"]' );
-	const value = determineTrafficSource();
-
-	// Check hidden fields for ones we're targeting
-	for ( const hiddenField of hiddenFields ) {
-		if ( hiddenField.value.toLowerCase() === FORM_FIELD_TARGET_VALUE.toLowerCase() ) {
-			hiddenField.value = value;
-		}
+/**
+ * Create a debug panel table row
+ *
+ * @param {'th'|'td'} cellTag
+ * @param {string[]} values
+ * @returns {HTMLTableRowElement}
+ */
+function createDebugPanelRow( cellTag, values ) {
+	const row = document.createElement( 'tr' );
+	for ( const value of values ) {
+		const cell = document.createElement( cellTag );
+		cell.textContent = value;
+		row.appendChild( cell );
 	}
+	return row;
 }
 
 // ========== Device/Browser Detection ==========
@@ -727,6 +3937,28 @@ function getOsFamily() {
 	return 'Other';
 }
 
+/**
+ * Get a human-readable label for an element
+ *
+ * Tries the title, aria-label, id, name, role and (for forms) action, in
+ * that order.
+ *
+ * @param {any} element
+ * @returns {string} The first non-empty label, or '' if none found
+ */
+function getElementLabel( element ) {
+	return (
+		element?.title
+		|| element?.ariaLabel
+		|| element?.getAttribute?.( 'aria-label' )
+		|| element?.id
+		|| element?.getAttribute?.( 'name' )
+		|| element?.getAttribute?.( 'role' )
+		|| element?.action
+		|| ''
+	);
+}
+
 /**
  * Safely run querySelectorAll with error handling
  * @param {any} maybeSelector
@@ -742,6 +3974,24 @@ function validateSelectorAll(maybeSelector, slug) {
 	}
 }
 
+/**
+ * Check whether a value is a usable CSS selector, without logging
+ *
+ * @param {any} maybeSelector
+ * @returns {boolean}
+ */
+function isValidSelector( maybeSelector ) {
+	if ( typeof maybeSelector !== 'string' || !maybeSelector.trim() ) {
+		return false;
+	}
+	try {
+		document.createDocumentFragment().querySelector( maybeSelector );
+		return true;
+	} catch {
+		return false;
+	}
+}
+
 /**
  * Safely run Element.closest with error handling
  * @param {EventTarget|null} contextEl
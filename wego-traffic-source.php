@@ -28,6 +28,7 @@ require_once __DIR__ . '/class-wego-autoloader-recovery.php';
  * Load supporting classes
  */
 require_once __DIR__ . '/class-wego-tracked-event-settings.php';
+require_once __DIR__ . '/class-wego-tracking-settings.php';
 require_once __DIR__ . '/class-wego-dynamic-event-post-type.php';
 require_once __DIR__ . '/class-wego-migrations.php';
 
@@ -35,20 +36,48 @@ require_once __DIR__ . '/class-wego-migrations.php';
  * Load event source classes
  */
 require_once __DIR__ . '/event-sources/class-wego-event-source-abstract.php';
+require_once __DIR__ . '/event-sources/class-wego-event-source-event-list-abstract.php';
 require_once __DIR__ . '/event-sources/class-wego-event-source-registry.php';
 require_once __DIR__ . '/event-sources/class-wego-event-source-link-click.php';
 require_once __DIR__ . '/event-sources/class-wego-event-source-form-submit.php';
+require_once __DIR__ . '/event-sources/class-wego-event-source-form-engagement.php';
 require_once __DIR__ . '/event-sources/class-wego-event-source-podium-widget.php';
+require_once __DIR__ . '/event-sources/class-wego-event-source-intercom-messenger.php';
+require_once __DIR__ . '/event-sources/class-wego-event-source-drift-chat.php';
+require_once __DIR__ . '/event-sources/class-wego-event-source-tawkto-chat.php';
+require_once __DIR__ . '/event-sources/class-wego-event-source-livechat-widget.php';
+require_once __DIR__ . '/event-sources/class-wego-event-source-hubspot-chat.php';
+require_once __DIR__ . '/event-sources/class-wego-event-source-calendly-scheduling.php';
 require_once __DIR__ . '/event-sources/class-wego-event-source-youtube.php';
+require_once __DIR__ . '/event-sources/class-wego-event-source-html5-media.php';
+require_once __DIR__ . '/event-sources/class-wego-event-source-vimeo.php';
+require_once __DIR__ . '/event-sources/class-wego-event-source-scroll-depth.php';
+require_once __DIR__ . '/event-sources/class-wego-event-source-element-visible.php';
+require_once __DIR__ . '/event-sources/class-wego-event-source-custom.php';
 
 /**
  * Register event source types
+ *
+ * Add-ons register their own classes on plugins_loaded, and the client side
+ * setup with wego.registerEventSource() in js/wego-traffic-source.js
  */
 $wego_event_source_classes = [
 	WeGo_Event_Source_Link_Click::class,
 	WeGo_Event_Source_Form_Submit::class,
+	WeGo_Event_Source_Form_Engagement::class,
 	WeGo_Event_Source_Podium_Widget::class,
+	WeGo_Event_Source_Intercom_Messenger::class,
+	WeGo_Event_Source_Drift_Chat::class,
+	WeGo_Event_Source_TawkTo_Chat::class,
+	WeGo_Event_Source_LiveChat_Widget::class,
+	WeGo_Event_Source_HubSpot_Chat::class,
+	WeGo_Event_Source_Calendly_Scheduling::class,
 	WeGo_Event_Source_YouTube::class,
+	WeGo_Event_Source_HTML5_Media::class,
+	WeGo_Event_Source_Vimeo::class,
+	WeGo_Event_Source_Scroll_Depth::class,
+	WeGo_Event_Source_Element_Visible::class,
+	WeGo_Event_Source_Custom::class,
 ];
 foreach ( $wego_event_source_classes as $class ) {
 	WeGo_Event_Source_Registry::register( $class );
@@ -65,6 +94,30 @@ class WeGo_Traffic_Source {
 	const GITHUB_USERNAME = 'pglewis';
 	const GITHUB_REPO = 'wego-traffic-source';
 
+	/**
+	 * Event IDs of recorded retries are remembered so that a retry whose
+	 * response was lost is not counted twice. Only requests from the client's
+	 * delivery queue (flagged with retry) are checked and remembered: a first
+	 * send the browser refused never reached the server. The lifetime matches
+	 * the client-side delivery queue's max age.
+	 */
+	const TRANSIENT_EVENT_ID_PREFIX = 'wego_event_id_';
+	const EVENT_ID_LIFETIME = DAY_IN_SECONDS;
+
+	/**
+	 * Maximum number of events accepted in one batched request
+	 */
+	const MAX_BATCH_SIZE = 25;
+
+	/**
+	 * Front-end debug mode query parameter, cookie and values
+	 * IMPORTANT: These values must match the DEBUG_* constants in js/wego-traffic-source.js
+	 */
+	const DEBUG_QUERY_VAR = 'wego_debug';
+	const DEBUG_COOKIE = 'wego_debug';
+	const DEBUG_MODE_ON = '1';
+	const DEBUG_MODE_DRY_RUN = 'dry_run';
+
 	public static $plugin_url;
 	public static $plugin_dir;
 	public static $plugin_basename;
@@ -89,6 +142,12 @@ class WeGo_Traffic_Source {
 		// Output inline JSON config for dynamic event tracking
 		add_action( 'wp_footer', [ __CLASS__, 'output_tracking_config' ] );
 
+		// Keep front-end debug mode on across pages for admins
+		add_action( 'template_redirect', [ __CLASS__, 'remember_debug_mode' ] );
+
+		// Tell the WP Consent API that we follow its consent categories
+		add_filter( 'wp_consent_api_registered_' . plugin_basename( __FILE__ ), '__return_true' );
+
 		// Register REST API endpoint
 		add_action( 'rest_api_init', [ __CLASS__, 'register_rest_routes' ] );
 
@@ -102,6 +161,7 @@ class WeGo_Traffic_Source {
 		// Initialize admin (only in admin context)
 		if ( is_admin() ) {
 			WeGo_Tracked_Event_Settings::init();
+			WeGo_Tracking_Settings::init();
 			WeGo_Migrations::init_admin_notices();
 
 			// Check for missing autoload and trigger recovery if needed
@@ -118,9 +178,26 @@ class WeGo_Traffic_Source {
 	}
 
 	/**
-	 * Enqueue admin assets for Tracked Event Settings page
+	 * Enqueue admin assets for the Tracked Event Settings and Tracking Settings pages
 	 */
 	public static function enqueue_admin_assets( $hook ) {
+		if ( $hook === 'wego-tracking_page_' . WeGo_Tracking_Settings::PAGE_SLUG ) {
+			wp_enqueue_style(
+				'wego-tracking-settings-admin',
+				plugins_url( 'css/wego-tracking-settings-admin.css', __FILE__ ),
+				[],
+				self::$plugin_version
+			);
+
+			wp_enqueue_script_module(
+				'wego-tracking-settings-admin',
+				plugins_url( 'js/wego-tracking-settings-admin.js', __FILE__ ),
+				[],
+				self::$plugin_version
+			);
+			return;
+		}
+
 		// Only load on our settings page
 		if ( $hook !== 'wego-tracking_page_' . WeGo_Tracked_Event_Settings::PAGE_SLUG ) {
 			return;
@@ -153,6 +230,35 @@ class WeGo_Traffic_Source {
 		wp_enqueue_script_module( 'wego-traffic-source', self::$plugin_url . 'js/wego-traffic-source.js', [], self::$plugin_version );
 	}
 
+	/**
+	 * Remember the debug mode an admin chose with the query parameter
+	 *
+	 * The front-end script reads ?wego_debug=1 (or dry_run) itself, so anyone
+	 * can debug a single page. Admins also get a browser session cookie that
+	 * keeps it on across pages, until they visit a page with ?wego_debug=0.
+	 */
+	public static function remember_debug_mode() {
+		if ( ! isset( $_GET[ self::DEBUG_QUERY_VAR ] ) || ! current_user_can( 'manage_options' ) ) {
+			return;
+		}
+
+		$mode = sanitize_key( wp_unslash( $_GET[ self::DEBUG_QUERY_VAR ] ) );
+		$enabled = in_array( $mode, [ self::DEBUG_MODE_ON, self::DEBUG_MODE_DRY_RUN ], true );
+
+		// Not HttpOnly, the front-end script reads it
+		setcookie(
+			self::DEBUG_COOKIE,
+			$enabled ? $mode : '',
+			[
+				'expires'  => $enabled ? 0 : time() - YEAR_IN_SECONDS,
+				'path'     => COOKIEPATH,
+				'domain'   => COOKIE_DOMAIN,
+				'secure'   => is_ssl(),
+				'samesite' => 'Lax',
+			]
+		);
+	}
+
 	/**
 	 * Register REST API routes
 	 */
@@ -188,6 +294,9 @@ class WeGo_Traffic_Source {
 		$config = [
 			'endpoint'       => rest_url( self::REST_NAMESPACE . self::REST_TRACK_EVENT_ROUTE ),
 			'trackedEvents'  => $tracked_events,
+			'consent'        => WeGo_Tracking_Settings::get_consent_config(),
+			'attribution'    => WeGo_Tracking_Settings::get_attribution_config(),
+			'channelRules'   => WeGo_Tracking_Settings::get_channel_rules_config(),
 		];
 
 		wp_print_inline_script_tag(
@@ -200,21 +309,79 @@ class WeGo_Traffic_Source {
 	}
 
 	/**
-	 * Log dynamic event with traffic source tracking
+	 * Log dynamic event(s) with traffic source tracking
+	 *
+	 * Accepts either a single event payload object or a JSON array of event
+	 * payloads (batched by the client). A batch always responds with one
+	 * result per event, in order, so a single bad event doesn't fail the rest.
 	 *
 	 * Note: REST API parameters use snake_case (not camelCase). This is standard REST API
 	 * best practice, matching WordPress conventions. The client (JavaScript) uses camelCase
 	 * internally and converts to snake_case when building the payload.
 	 */
 	public static function log_event( $request ) {
-		$event_type = sanitize_key( $request->get_param( 'event_type' ) );
-		$primary_value = sanitize_text_field( $request->get_param( 'primary_value' ) );
-		$traffic_source = sanitize_text_field( $request->get_param( 'traffic_source' ) );
-		$device_type = sanitize_text_field( $request->get_param( 'device_type' ) );
-		$page_url = esc_url_raw( $request->get_param( 'page_url' ) );
-		$browser_family = sanitize_text_field( $request->get_param( 'browser_family' ) );
-		$os_family = sanitize_text_field( $request->get_param( 'os_family' ) );
-		$event_source_data = $request->get_param( 'event_source_data' );
+		$json_params = $request->get_json_params();
+
+		if ( is_array( $json_params ) && ! empty( $json_params ) && wp_is_numeric_array( $json_params ) ) {
+			if ( count( $json_params ) > self::MAX_BATCH_SIZE ) {
+				return new WP_Error(
+					'batch_too_large',
+					sprintf(
+						__( 'A batch may contain at most %d events', 'wego-traffic-source' ),
+						self::MAX_BATCH_SIZE
+					),
+					[ 'status' => 400 ]
+				);
+			}
+
+			$results = [];
+			foreach ( $json_params as $event_params ) {
+				$result = self::record_event( is_array( $event_params ) ? $event_params : [] );
+
+				if ( is_wp_error( $result ) ) {
+					$results[] = [
+						'success' => false,
+						'code'    => $result->get_error_code(),
+						'message' => $result->get_error_message(),
+					];
+				} else {
+					$results[] = $result;
+				}
+			}
+
+			return rest_ensure_response( [
+				'success' => true,
+				'results' => $results,
+			] );
+		}
+
+		$result = self::record_event( $request->get_params() );
+		if ( is_wp_error( $result ) ) {
+			return $result;
+		}
+
+		return rest_ensure_response( $result );
+	}
+
+	/**
+	 * Validate and save a single event payload
+	 *
+	 * @param array $params Event payload parameters
+	 * @return array|WP_Error Result array ['success' => true, ...] or error
+	 */
+	private static function record_event( $params ) {
+		$event_type = sanitize_key( $params['event_type'] ?? '' );
+		$primary_value = sanitize_text_field( $params['primary_value'] ?? '' );
+		$traffic_source = sanitize_text_field( $params['traffic_source'] ?? '' );
+		$first_touch_source = sanitize_text_field( $params['first_touch_source'] ?? '' );
+		$last_touch_source = sanitize_text_field( $params['last_touch_source'] ?? '' );
+		$device_type = sanitize_text_field( $params['device_type'] ?? '' );
+		$page_url = esc_url_raw( $params['page_url'] ?? '' );
+		$browser_family = sanitize_text_field( $params['browser_family'] ?? '' );
+		$os_family = sanitize_text_field( $params['os_family'] ?? '' );
+		$event_source_data = $params['event_source_data'] ?? null;
+		$event_id = sanitize_key( $params['event_id'] ?? '' );
+		$is_retry = ! empty( $params['retry'] );
 
 		// Validate required fields
 		if ( empty( $event_type ) || empty( $primary_value ) ) {
@@ -244,16 +411,30 @@ class WeGo_Traffic_Source {
 			);
 		}
 
+		// Discard retries of an event that has already been recorded
+		$event_id_transient = '';
+		if ( $is_retry && ! empty( $event_id ) ) {
+			$event_id_transient = self::TRANSIENT_EVENT_ID_PREFIX . md5( $event_id );
+			if ( get_transient( $event_id_transient ) ) {
+				return [
+					'success'   => true,
+					'duplicate' => true,
+				];
+			}
+		}
+
 		// Build the CPT slug (wego_ prefix + event slug)
 		$post_type = 'wego_' . $event_type;
 
 		// Build meta_input array
 		$meta_input = [
-			WeGo_Dynamic_Event_Post_Type::COLUMN_TRAFFIC_SOURCE => $traffic_source,
-			WeGo_Dynamic_Event_Post_Type::COLUMN_DEVICE_TYPE    => $device_type,
-			WeGo_Dynamic_Event_Post_Type::COLUMN_PAGE_URL       => $page_url,
-			WeGo_Dynamic_Event_Post_Type::COLUMN_BROWSER_FAMILY => $browser_family,
-			WeGo_Dynamic_Event_Post_Type::COLUMN_OS_FAMILY      => $os_family,
+			WeGo_Dynamic_Event_Post_Type::COLUMN_TRAFFIC_SOURCE     => $traffic_source,
+			WeGo_Dynamic_Event_Post_Type::COLUMN_FIRST_TOUCH_SOURCE => $first_touch_source,
+			WeGo_Dynamic_Event_Post_Type::COLUMN_LAST_TOUCH_SOURCE  => $last_touch_source,
+			WeGo_Dynamic_Event_Post_Type::COLUMN_DEVICE_TYPE        => $device_type,
+			WeGo_Dynamic_Event_Post_Type::COLUMN_PAGE_URL           => $page_url,
+			WeGo_Dynamic_Event_Post_Type::COLUMN_BROWSER_FAMILY     => $browser_family,
+			WeGo_Dynamic_Event_Post_Type::COLUMN_OS_FAMILY          => $os_family,
 		];
 
 		// Add event_source_data if provided
@@ -277,10 +458,14 @@ class WeGo_Traffic_Source {
 			);
 		}
 
-		return rest_ensure_response( [
+		if ( $event_id_transient ) {
+			set_transient( $event_id_transient, $post_id, self::EVENT_ID_LIFETIME );
+		}
+
+		return [
 			'success' => true,
 			'post_id' => $post_id,
-		] );
+		];
 	}
 
 	/**